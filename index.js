@@ -4,197 +4,2919 @@ const mongoose = require('mongoose');
 
 const errorRegex = /index: (.+) dup key:/;
 
-/** @type <Map<string, mongoose.mongo.BSON.Documen>> */
-const INDEXES_CACHE = new Map();
+const DEFAULT_MESSAGE = 'Path `{PATH}` ({VALUE}) is not unique.';
 
+// Message of the errors reported for a whole compound index
+const COMPOUND_MESSAGE = 'Combination of {FIELDS} ({VALUES}) is not unique.';
+
+// Message of the errors reported for indexes whose fields are unknown
+const GENERIC_MESSAGE =
+	'A document with the same unique values already exists.';
+
+// Replacement for fully redacted values
+const REDACTED_VALUE = '***';
+
+/**
+ * Index information cached per connection, then per collection name.
+ *
+ * @type {WeakMap<mongoose.Connection, Map<string, {indexes: Promise<mongoose.mongo.BSON.Document>, expiresAt: number}>>}
+ */
+const INDEXES_CACHE = new WeakMap();
+
+// Collection methods that change the set of indexes
+const INDEX_METHODS = [
+	'createIndex',
+	'createIndexes',
+	'dropIndex',
+	'dropIndexes',
+	'drop',
+];
+
+const watchedKey = Symbol('mongoose-beautiful-unique-validation.watched');
+
+/**
+ * Custom unique options of each schema, collected when its models are
+ * compiled or upon the first error.
+ *
+ * @type {WeakMap<mongoose.Schema, object>}
+ */
+const MESSAGES_CACHE = new WeakMap();
+
+// Middleware of all write operations that can raise duplicate errors,
+// except for bulk ones that are handled separately. Document#updateOne()
+// goes through the updateOne query middleware
+const WRITE_HOOKS = [
+	'save',
+	'updateOne',
+	'updateMany',
+	'replaceOne',
+	'findOneAndUpdate',
+	'findOneAndReplace',
+	// mongoose 6.x
+	'update',
+];
+
+// Names of driver errors, for errors that come from another copy
+// of the driver than the one Mongoose exposes
 const MONGO_ERRORS = new Set([
 	'MongoServerError',
+	'MongoBulkWriteError',
+	'MongoWriteConcernError',
 	'BulkWriteError',
 	// mongoose 5.x
 	'MongoError',
 ]);
 
 /**
- * Check if the given error is a unique error.
+ * Check if the given error was raised by the MongoDB driver.
+ *
+ * @param {Object} err Error to test.
+ * @return {bool} True if and only if it is a driver error.
+ */
+function isMongoError(err) {
+	return (
+		(typeof mongoose.mongo.MongoError === 'function' &&
+			err instanceof mongoose.mongo.MongoError) ||
+		MONGO_ERRORS.has(err.name)
+	);
+}
+
+/**
+ * Check if the given error is a unique error. Inside transactions and
+ * bulk or retryable writes, the duplicate key code may only be carried
+ * by one of the error's write errors.
+ *
+ * @param {Object} err Error to test.
+ * @return {bool} True if and only if it is an unique error.
+ */
+function isUniqueError(err) {
+	return Boolean(
+		err &&
+		isMongoError(err) &&
+		(isUniqueWriteError(err) || getWriteErrors(err).some(isUniqueWriteError)),
+	);
+}
+
+/**
+ * Check if the context a hook was called with is a query, as opposed
+ * to a document. Class names cannot be relied upon, since they change
+ * with minification and subclassing.
+ *
+ * @param {Object} context Context to test.
+ * @return {bool} True if and only if it is a query.
+ */
+function isQuery(context) {
+	return (
+		context instanceof mongoose.Query ||
+		(typeof context.getUpdate === 'function' &&
+			typeof context.getFilter === 'function' &&
+			typeof context.model === 'function')
+	);
+}
+
+/**
+ * Search for the value matching a path in dotted notation
+ * inside an object.
+ *
+ * @example
+ * - getValueByPath({a: {b: 2}}, 'a.b') -> 2
+ * - getValueByPath({}, 'a.b') -> undefined
+ * @param {object} obj Nested object to search.
+ * @param {string} path Path of the value to search for.
+ * @return {any} Matching value, or undefined if none.
+ */
+function getValueByPath(obj, path) {
+	const segments = path.split('.');
+	let result = obj;
+
+	for (
+		let i = 0;
+		i < segments.length && result !== null && result !== undefined;
+		++i
+	) {
+		result = result[segments[i]];
+	}
+
+	return result;
+}
+
+/**
+ * Search for all the values matching a path in dotted notation inside
+ * an object, going through each element of the arrays on the way, along
+ * with the path of each value including the indexes of these elements.
+ *
+ * @example
+ * - getPathValues({a: {b: 2}}, 'a.b') -> [{path: 'a.b', value: 2}]
+ * - getPathValues({a: [{b: 1}, {b: 2}]}, 'a.b')
+ *   -> [{path: 'a.0.b', value: 1}, {path: 'a.1.b', value: 2}]
+ * @param {object} obj Nested object to search.
+ * @param {string} path Path of the values to search for.
+ * @return {Array<{path: string, value: any}>} Matching values.
+ */
+function getPathValues(obj, path) {
+	let results = [{ segments: [], value: obj }];
+
+	path.split('.').forEach(function (segment) {
+		let next = [];
+
+		results.forEach(function (result) {
+			let value = result.value;
+
+			if (value === null || value === undefined) {
+				return;
+			}
+
+			if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+				value.forEach(function (item, i) {
+					if (item !== null && item !== undefined) {
+						next.push({
+							segments: result.segments.concat(i, segment),
+							value: item[segment],
+						});
+					}
+				});
+			} else {
+				next.push({
+					segments: result.segments.concat(segment),
+					value: value[segment],
+				});
+			}
+		});
+
+		results = next;
+	});
+
+	return results
+		.filter(function (result) {
+			return result.value !== undefined;
+		})
+		.map(function (result) {
+			return { path: result.segments.join('.'), value: result.value };
+		});
+}
+
+/**
+ * Remove array indexes from a path in dotted notation.
+ *
+ * @example
+ * - getSchemaPath('items.2.sku') -> 'items.sku'
+ * @param {string} path Path to process.
+ * @return {string} Path as declared in the schema.
+ */
+function getSchemaPath(path) {
+	return path
+		.split('.')
+		.filter(function (segment) {
+			return !/^\d+$/.test(segment);
+		})
+		.join('.');
+}
+
+/**
+ * Assign a value inside an object at a path in dotted notation,
+ * creating intermediate objects as needed.
+ *
+ * @example
+ * - setValueByPath({}, 'a.b', 2) -> {a: {b: 2}}
+ * @param {object} obj Nested object to update.
+ * @param {string} path Path of the value to assign.
+ * @param {any} value Value to assign.
+ */
+function setValueByPath(obj, path, value) {
+	const segments = path.split('.');
+	let target = obj;
+
+	for (let i = 0; i < segments.length - 1; ++i) {
+		if (
+			typeof target[segments[i]] !== 'object' ||
+			target[segments[i]] === null
+		) {
+			target[segments[i]] = {};
+		}
+
+		target = target[segments[i]];
+	}
+
+	target[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Remove positional operators from a path in dotted notation.
+ *
+ * @example
+ * - stripPositional('items.$.sku') -> 'items.sku'
+ * - stripPositional('items.$[elem].sku') -> 'items.sku'
+ * @param {string} path Path to process.
+ * @return {string} Path without positional operators.
+ */
+function stripPositional(path) {
+	return path
+		.split('.')
+		.filter(function (segment) {
+			return !/^\$(\[\w*\])?$/.test(segment);
+		})
+		.join('.');
+}
+
+/**
+ * Check if a value is a plain object, as opposed to arrays, documents
+ * and values such as dates or ObjectIds.
+ *
+ * @param {any} value Value to test.
+ * @return {bool} True if and only if it is a plain object.
+ */
+function isPlainObject(value) {
+	if (typeof value !== 'object' || value === null) {
+		return false;
+	}
+
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Check if a value is made of operators only, such as query
+ * conditions (`{$gt: 2}`) or aggregation expressions.
+ *
+ * @param {any} value Value to test.
+ * @return {bool} True if and only if it is an operator object.
+ */
+function isOperatorObject(value) {
+	if (!isPlainObject(value)) {
+		return false;
+	}
+
+	const keys = Object.keys(value);
+
+	return (
+		keys.length > 0 &&
+		keys.every(function (key) {
+			return key[0] === '$';
+		})
+	);
+}
+
+/**
+ * Copy the literal values of an update, filter or pipeline stage into
+ * a nested object. Dotted keys are expanded, positional operators are
+ * removed and operators are skipped, except for `$eq` conditions.
+ *
+ * @param {object} target Nested object to copy values into.
+ * @param {object} source Object to copy values from.
+ * @param {string} prefix Path of the source object inside the target.
+ * @param {bool} pipeline Whether the source is an aggregation stage,
+ * in which strings starting with `$` are field references.
+ */
+function assignValues(target, source, prefix, pipeline) {
+	Object.keys(source).forEach(function (key) {
+		if (key[0] === '$') return;
+
+		const path = stripPositional(prefix ? prefix + '.' + key : key);
+		const value = source[key];
+
+		if (isOperatorObject(value)) {
+			if (!pipeline && has(value, '$eq')) {
+				setValueByPath(target, path, value.$eq);
+			}
+		} else if (isPlainObject(value) && Object.keys(value).length > 0) {
+			assignValues(target, value, path, pipeline);
+		} else if (!pipeline || typeof value !== 'string' || value[0] !== '$') {
+			setValueByPath(target, path, value);
+		}
+	});
+}
+
+/**
+ * Check if a value is a `unique` option that carries more than a flag:
+ * a message, the `[true, message]` shorthand or an object form.
+ *
+ * @param {any} value Value of the `unique` option.
+ * @return {bool} True if and only if it has to be normalized.
+ */
+function isUniqueOption(value) {
+	return (
+		isMessage(value) ||
+		Array.isArray(value) ||
+		(isPlainObject(value) &&
+			!has(value, 'type') &&
+			(has(value, 'message') || has(value, 'code') || has(value, 'meta')))
+	);
+}
+
+/**
+ * Normalize the value of a `unique` option.
+ *
+ * @example
+ * - normalizeUnique(true) -> {}
+ * - normalizeUnique('Taken') -> {message: 'Taken'}
+ * - normalizeUnique([true, 'Taken']) -> {message: 'Taken'}
+ * - normalizeUnique({code: 'TAKEN'}) -> {code: 'TAKEN'}
+ * - normalizeUnique(false) -> null
+ * @param {any} value Value of the `unique` option.
+ * @return {?{message: (string|function), code: any, meta: any}} Details
+ * of the unique constraint, or null if the option disables it.
+ */
+function normalizeUnique(value) {
+	if (Array.isArray(value)) {
+		if (!value[0]) {
+			return null;
+		}
+
+		return value.length > 1 ? normalizeUnique(value[1]) : {};
+	}
+
+	if (isMessage(value)) {
+		return { message: value };
+	}
+
+	if (isPlainObject(value)) {
+		let result = {};
+
+		['message', 'code', 'meta'].forEach(function (key) {
+			if (value[key] !== undefined) {
+				result[key] = value[key];
+			}
+		});
+
+		return result;
+	}
+
+	return value ? {} : null;
+}
+
+/**
+ * Get the schema type that holds the options of the values of a path,
+ * which is the type of the elements for arrays of primitives.
+ *
+ * @param {mongoose.SchemaType} schemaType Schema type of the path.
+ * @return {mongoose.SchemaType} Schema type holding the options.
+ */
+function getElementType(schemaType) {
+	return schemaType.caster instanceof mongoose.SchemaType
+		? schemaType.caster
+		: schemaType;
+}
+
+/**
+ * Find the alias and the label of a path in dotted notation, going
+ * through child schemas. Array indexes are kept in the aliased path, and
+ * segments without an alias are kept as they are.
+ *
+ * @example
+ * - describePath(schema, 'items.2.sku') -> {alias: 'items.2.code', label: 'SKU'}
+ * @param {mongoose.Schema} schema Schema to search.
+ * @param {string} path Path to describe.
+ * @return {{alias: string, label: ?string, redact: any}} Aliased path,
+ * label declared with the `label` option of the path (or null), and its
+ * `uniqueRedact` option.
+ */
+function describePath(schema, path) {
+	let segments = path.split('.');
+
+	for (let i = segments.length; i > 0; --i) {
+		let head = segments.slice(0, i).join('.');
+
+		if (!has(schema.paths, head)) {
+			continue;
+		}
+
+		let schemaType = schema.paths[head];
+		let rest = segments.slice(i);
+		let alias = [].concat(schemaType.options.alias || head)[0];
+
+		if (schemaType.schema && rest.length > 0) {
+			let position = /^\d+$/.test(rest[0]) ? rest.splice(0, 1) : [];
+
+			if (rest.length > 0) {
+				let child = describePath(schemaType.schema, rest.join('.'));
+
+				return {
+					alias: [alias].concat(position, child.alias).join('.'),
+					label: child.label,
+					redact: child.redact,
+				};
+			}
+
+			return {
+				alias: [alias].concat(position).join('.'),
+				label: null,
+				redact: undefined,
+			};
+		}
+
+		if (rest.length > 0) {
+			return {
+				alias: [alias].concat(rest).join('.'),
+				label: null,
+				redact: undefined,
+			};
+		}
+
+		let options = schemaType.options;
+		let elementOptions = getElementType(schemaType).options;
+
+		return {
+			alias: alias,
+			label: options.label || elementOptions.label || null,
+			redact:
+				options.uniqueRedact !== undefined
+					? options.uniqueRedact
+					: elementOptions.uniqueRedact,
+		};
+	}
+
+	return { alias: path, label: null, redact: undefined };
+}
+
+/**
+ * Find how the values of a field should be redacted, from the
+ * `uniqueRedact` option of its path or else the `redact` plugin option.
+ *
+ * @param {?mongoose.Schema} schema Schema of the model.
+ * @param {string} field Field to look up.
+ * @param {object} options Plugin options.
+ * @return {bool|string|function} Redaction setting, falsy to keep values.
+ */
+function getRedaction(schema, field, options) {
+	let own = schema ? describePath(schema, field).redact : undefined;
+	return own !== undefined ? own : options.redact;
+}
+
+/**
+ * Hide a sensitive value: `true` replaces it entirely, `'partial'` only
+ * keeps its first character and the domain of email addresses, and
+ * functions receive the value and return its replacement.
+ *
+ * @example
+ * - redactValue('john@example.com', 'partial') -> 'j***@example.com'
+ * @param {any} value Value to hide.
+ * @param {bool|string|function} redaction Redaction setting.
+ * @return {any} Redacted value, or the value itself if it is kept.
+ */
+function redactValue(value, redaction) {
+	if (!redaction || value === undefined || value === null) {
+		return value;
+	}
+
+	if (typeof redaction === 'function') {
+		return redaction(value);
+	}
+
+	if (redaction === 'partial') {
+		let string = String(value);
+		let at = string.lastIndexOf('@');
+
+		return (
+			string.slice(0, 1) + REDACTED_VALUE + (at > 0 ? string.slice(at) : '')
+		);
+	}
+
+	return REDACTED_VALUE;
+}
+
+/**
+ * Copy a document with the values of the given fields redacted, going
+ * through arrays and nested objects.
+ *
+ * @param {?object} doc Document to redact.
+ * @param {Array<string>} fields Fields whose values to redact.
+ * @param {Array<bool|string|function>} redactions Redaction setting of
+ * each field.
+ * @return {?object} Redacted copy, or the document itself if none of
+ * its fields are redacted.
+ */
+function redactDocument(doc, fields, redactions) {
+	return fields.reduce(function (result, field, i) {
+		return redactions[i]
+			? redactPath(result, field.split('.'), redactions[i])
+			: result;
+	}, doc);
+}
+
+/**
+ * Copy a value with the values at the given path redacted.
+ *
+ * @param {any} value Value to redact.
+ * @param {Array<string>} segments Remaining segments of the path.
+ * @param {bool|string|function} redaction Redaction setting.
+ * @return {any} Redacted copy.
+ */
+function redactPath(value, segments, redaction) {
+	if (value === null || value === undefined) {
+		return value;
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(function (item) {
+			return redactPath(item, segments, redaction);
+		});
+	}
+
+	if (segments.length === 0) {
+		return redactValue(value, redaction);
+	}
+
+	if (typeof value !== 'object' || !has(value, segments[0])) {
+		return value;
+	}
+
+	return Object.assign({}, value, {
+		[segments[0]]: redactPath(value[segments[0]], segments.slice(1), redaction),
+	});
+}
+
+/**
+ * Redact the duplicated values reported by the driver.
+ *
+ * @param {?object} keyValue Map of fields to duplicated values.
+ * @param {mongoose.Schema} schema Schema of the model.
+ * @param {object} options Plugin options.
+ * @return {?object} Map of fields to redacted values.
+ */
+function redactKeyValue(keyValue, schema, options) {
+	if (!keyValue) {
+		return keyValue;
+	}
+
+	return Object.keys(keyValue).reduce(function (result, field) {
+		result[field] = redactValue(
+			keyValue[field],
+			getRedaction(schema, getSchemaPath(field), options),
+		);
+		return result;
+	}, {});
+}
+
+/**
+ * Collect the custom `unique` options of a schema and of its child
+ * schemas (single nested schemas and document arrays). Options of paths
+ * are keyed by path and recorded as the `uniqueMessage` option of each
+ * path, where other plugins can find them. Options given to
+ * Schema#index() are keyed by the name of the index, so that indexes
+ * sharing a field do not override each other or the field's own options.
+ *
+ * @param {mongoose.Schema} schema Schema to collect from.
+ * @param {string} [prefix] Path of the schema inside its parent.
+ * @param {Set<mongoose.Schema>} [ancestors] Schemas being collected,
+ * to stop on recursive schemas.
+ * @return {object} Map of collected messages, codes and metadata.
+ */
+function collectSchemaMessages(schema, prefix, ancestors) {
+	prefix = prefix || '';
+	ancestors = ancestors || new Set();
+
+	let result = {};
+	let own = {};
+
+	if (ancestors.has(schema)) {
+		return result;
+	}
+
+	ancestors.add(schema);
+
+	schema.eachPath(function (path, schemaType) {
+		if (schemaType.schema) {
+			Object.assign(
+				result,
+				collectSchemaMessages(
+					schemaType.schema,
+					prefix + path + '.',
+					ancestors,
+				),
+			);
+			return;
+		}
+
+		let options = getElementType(schemaType).options;
+
+		// Arrays of values can be declared unique either on their
+		// elements (`[{type: String, unique: true}]`) or on themselves
+		// (`{type: [String], unique: true}`)
+		let declared = isUniqueOption(options.unique)
+			? options.unique
+			: schemaType.options.unique;
+
+		if (isUniqueOption(declared)) {
+			let unique = normalizeUnique(declared);
+
+			if (unique) {
+				own[path] = unique;
+			}
+		}
+	});
+
+	Object.keys(own).forEach(function (path) {
+		let schemaType = schema.path(path);
+
+		if (schemaType) {
+			getElementType(schemaType).options.uniqueMessage = own[path];
+		}
+
+		result[prefix + path] = own[path];
+	});
+
+	schema._indexes.forEach(function (index) {
+		let unique = index[1] && normalizeUnique(index[1].unique);
+
+		if (index[0] && unique && Object.keys(unique).length > 0) {
+			let keys = {};
+
+			Object.keys(index[0]).forEach(function (indexKey) {
+				keys[prefix + indexKey] = index[0][indexKey];
+			});
+
+			result[index[1].name || getDefaultIndexName(keys)] = unique;
+		}
+	});
+
+	ancestors.delete(schema);
+	return result;
+}
+
+/**
+ * Make a schema list its indexes with `unique` options normalized to
+ * booleans, as the server rejects anything else, while leaving the
+ * declared options untouched.
+ *
+ * @param {mongoose.Schema} schema Schema to patch.
+ */
+function normalizeSchemaIndexes(schema) {
+	if (has(schema, 'indexes')) {
+		return;
+	}
+
+	let indexes = schema.indexes;
+
+	schema.indexes = function () {
+		return indexes.call(this).map(function (index) {
+			let unique = index[1] && index[1].unique;
+
+			if (unique == null || typeof unique === 'boolean') {
+				return index;
+			}
+
+			return [
+				index[0],
+				Object.assign({}, index[1], {
+					unique: Boolean(normalizeUnique(unique)),
+				}),
+			];
+		});
+	};
+}
+
+/**
+ * Get the custom unique options that apply to a duplicate: those given
+ * to its index through Schema#index(), or else those of the path. When
+ * the failing index has another name on the server than in the schema,
+ * the declared index is found through its fields.
+ *
+ * @param {object} messages Map fields and indexes to unique options.
+ * @param {string} path Duplicated path, without array indexes.
+ * @param {object} details Details about the duplicate.
+ * @param {?string} [details.index] Name of the failing index.
+ * @param {mongoose.Schema} [details.schema] Schema of the model.
+ * @param {Array<string>} [details.fields] Fields of the failing index.
+ * @return {object} Declared options, possibly empty.
+ */
+function getDeclaredUnique(messages, path, details) {
+	let index = details.index;
+
+	if (index && !has(messages, index) && details.schema && details.fields) {
+		let declared = findDeclaredIndex(details.schema, details.fields, index);
+
+		index = declared && (declared[1].name || getDefaultIndexName(declared[0]));
+	}
+
+	if (index && has(messages, index)) {
+		return messages[index];
+	}
+
+	return messages[path] || {};
+}
+
+/**
+ * Retrieve the custom unique options of a schema, collecting them
+ * if the schema has not been compiled into a model yet.
+ *
+ * @param {mongoose.Schema} schema Schema to collect from.
+ * @return {object} Map of collected messages, codes and metadata.
+ */
+function getSchemaMessages(schema) {
+	if (!MESSAGES_CACHE.has(schema)) {
+		MESSAGES_CACHE.set(schema, collectSchemaMessages(schema));
+	}
+
+	return MESSAGES_CACHE.get(schema);
+}
+
+/**
+ * List the discriminator models of a model, if any.
+ *
+ * @param {mongoose.Model} model Base model.
+ * @return {Array<mongoose.Model>} Discriminator models.
+ */
+function getDiscriminators(model) {
+	let discriminators = model.discriminators || {};
+
+	return Object.keys(discriminators).map(function (name) {
+		return discriminators[name];
+	});
+}
+
+/**
+ * Find the discriminator model that written values belong to, from their
+ * discriminator key, when an operation is run through the base model.
+ *
+ * @param {mongoose.Model} model Model the operation was run on.
+ * @param {object} values Written values.
+ * @return {mongoose.Model} Discriminator model, or the given model if
+ * the values do not belong to any of its discriminators.
+ */
+function getDiscriminatorModel(model, values) {
+	let key = model.schema.options.discriminatorKey;
+	let value = key && values ? getValueByPath(values, key) : undefined;
+
+	if (value === undefined || value === null) {
+		return model;
+	}
+
+	let discriminator = getDiscriminators(model).find(function (candidate) {
+		let mapping = candidate.schema.discriminatorMapping;
+		let candidateValue =
+			mapping && mapping.value != null ? mapping.value : candidate.modelName;
+
+		return String(candidateValue) === String(value);
+	});
+
+	return discriminator || model;
+}
+
+/**
+ * Retrieve the custom unique options of a model. The options declared
+ * by the discriminators of a base model are included as well, for the
+ * paths that the base model does not declare, since operations run
+ * through the base model may write documents of any discriminator.
+ *
+ * @param {mongoose.Model} model Model to retrieve the options of.
+ * @return {object} Map of collected messages, codes and metadata.
+ */
+function getModelMessages(model) {
+	let messages = {};
+
+	getDiscriminators(model).forEach(function (discriminator) {
+		Object.assign(messages, getSchemaMessages(discriminator.schema));
+	});
+
+	return Object.assign(messages, getSchemaMessages(model.schema));
+}
+
+/**
+ * List the schemas in which the indexes of a model can be declared: the
+ * model's own schema, then the schemas of its discriminators.
+ *
+ * @param {mongoose.Model} model Model to inspect.
+ * @return {Array<mongoose.Schema>} Schemas.
+ */
+function getModelSchemas(model) {
+	return [model.schema].concat(
+		getDiscriminators(model).map(function (discriminator) {
+			return discriminator.schema;
+		}),
+	);
+}
+
+/**
+ * Retrieve the index cache of the connection a collection belongs to.
+ *
+ * @param {mongoose.Collection} collection Mongoose collection.
+ * @return {Map<string, object>} Cache entries, by collection name.
+ */
+function getConnectionCache(collection) {
+	let connection = collection.conn || collection;
+
+	if (!INDEXES_CACHE.has(connection)) {
+		INDEXES_CACHE.set(connection, new Map());
+	}
+
+	return INDEXES_CACHE.get(connection);
+}
+
+/**
+ * Retrieve the full specification of each index of a collection using
+ * collection#indexInformation or previously cached data.
+ *
+ * @param {mongoose.Collection} collection Mongoose collection.
+ * @param {number} [ttl] Time in milliseconds after which cached
+ * data is refreshed. Cached data never expires if unset.
+ *
+ * Resolved with a map of index names to their specification, including
+ * their `key`, `collation`, `partialFilterExpression` and `sparse` options.
+ * @return {Promise<object>}
+ */
+function getIndexes(collection, ttl) {
+	const cache = getConnectionCache(collection);
+	const cached = getCachedIndexes(collection);
+
+	if (cached) {
+		return cached;
+	}
+
+	const entry = {
+		indexes: collection.indexInformation({ full: true }).then(function (specs) {
+			return specs.reduce(function (indexes, spec) {
+				indexes[spec.name] = spec;
+				return indexes;
+			}, {});
+		}),
+		expiresAt: ttl > 0 ? Date.now() + ttl : Infinity,
+	};
+
+	cache.set(collection.name, entry);
+
+	// Do not keep failed lookups around
+	entry.indexes.catch(function () {
+		if (cache.get(collection.name) === entry) {
+			cache.delete(collection.name);
+		}
+	});
+
+	return entry.indexes;
+}
+
+/**
+ * Retrieve index information about a collection only if it is already
+ * cached, without querying the server.
+ *
+ * @param {mongoose.Collection} collection Mongoose collection.
+ * @return {?Promise<object>} Cached index information (see getIndexes()),
+ * or null if there is none.
+ */
+function getCachedIndexes(collection) {
+	const cached = getConnectionCache(collection).get(collection.name);
+
+	if (cached && cached.expiresAt > Date.now()) {
+		return cached.indexes;
+	}
+
+	return null;
+}
+
+/**
+ * Forget cached index information about a collection.
+ *
+ * @param {mongoose.Collection} collection Mongoose collection.
+ */
+function invalidateIndexes(collection) {
+	getConnectionCache(collection).delete(collection.name);
+}
+
+/**
+ * Invalidate cached index information whenever the indexes of
+ * a collection are changed through it.
+ *
+ * @param {mongoose.Collection} collection Mongoose collection.
+ */
+function watchIndexChanges(collection) {
+	if (collection[watchedKey]) {
+		return;
+	}
+
+	collection[watchedKey] = true;
+
+	INDEX_METHODS.forEach(function (method) {
+		const original = collection[method];
+
+		if (typeof original !== 'function') {
+			return;
+		}
+
+		collection[method] = function () {
+			invalidateIndexes(collection);
+
+			const result = original.apply(this, arguments);
+
+			// Indexes may have been looked up while the change was
+			// in progress, so invalidate again once it is done
+			if (result && typeof result.then === 'function') {
+				result.then(
+					function () {
+						invalidateIndexes(collection);
+					},
+					function () {
+						invalidateIndexes(collection);
+					},
+				);
+			}
+
+			return result;
+		};
+	});
+}
+
+/**
+ * Check if the given write error, as reported inside a bulk write
+ * error, is a unique error.
+ *
+ * @param {Object} writeError Write error to test.
+ * @return {bool} True if and only if it is an unique error.
+ */
+function isUniqueWriteError(writeError) {
+	let code = writeError.code;
+
+	if (code === undefined && writeError.err) {
+		code = writeError.err.code;
+	}
+
+	return code === 11000 || code === 11001;
+}
+
+/**
+ * Normalize the write errors carried by a bulk write error.
+ * Older drivers report a single write error as a plain object.
+ *
+ * @param {mongoose.mongo.MongoError} error Error to inspect.
+ * @return {Array<Object>} List of write errors.
+ */
+function getWriteErrors(error) {
+	let writeErrors = error.writeErrors;
+
+	// Some drivers only report them in the raw bulk write result
+	if (!writeErrors && error.result) {
+		writeErrors =
+			error.result.writeErrors ||
+			(error.result.result && error.result.result.writeErrors);
+	}
+
+	if (!writeErrors) {
+		return [];
+	}
+
+	return [].concat(writeErrors);
+}
+
+/**
+ * List the objects that can carry details about a duplicate key
+ * violation: depending on the operation and on the driver version,
+ * these details are attached either to the error itself, to its
+ * `err` or `errInfo` or to one of its write errors.
+ *
+ * @param {mongoose.mongo.MongoError} error Error to inspect.
+ * @return {Array<Object>} Candidate objects, most specific first.
+ */
+function getErrorSources(error) {
+	let sources = [];
+
+	[error].concat(getWriteErrors(error)).forEach(function (item) {
+		sources.push(item, item.err, item.errInfo);
+	});
+
+	return sources.filter(function (source) {
+		return typeof source === 'object' && source !== null;
+	});
+}
+
+/**
+ * Find the duplicated values that the driver attaches to duplicate
+ * errors, even when the failing index's key pattern is missing.
+ *
+ * @param {mongoose.mongo.MongoError} error Error to inspect.
+ * @return {?object} Duplicated values, or null if not available.
+ */
+function getDuplicateKeyValue(error) {
+	for (let source of getErrorSources(error)) {
+		if (isPlainObject(source.keyValue)) {
+			return source.keyValue;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Find the structured description of a duplicate key violation that
+ * modern drivers attach to E11000 errors.
+ *
+ * @param {mongoose.mongo.MongoError} error Error to inspect.
+ * @return {?{keyPattern: object, keyValue: ?object}} Key pattern of the
+ * failing index and the duplicated values, or null if not available.
+ */
+function getDuplicateKeyInfo(error) {
+	for (let source of getErrorSources(error)) {
+		if (typeof source.keyPattern === 'object' && source.keyPattern !== null) {
+			return {
+				keyPattern: source.keyPattern,
+				keyValue: source.keyValue || null,
+			};
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Compute the name that MongoDB gives by default to an index.
+ *
+ * @example
+ * - getDefaultIndexName({name: 1, age: -1}) -> 'name_1_age_-1'
+ * @param {object} keys Index specification.
+ * @return {string} Default name of the index.
+ */
+function getDefaultIndexName(keys) {
+	return Object.keys(keys)
+		.map(function (key) {
+			return key + '_' + keys[key];
+		})
+		.join('_');
+}
+
+/**
+ * Map the names of the indexes declared in a schema to their fields,
+ * both for path-level indexes and for those declared through
+ * Schema#index().
+ *
+ * @param {mongoose.Schema} schema Schema to inspect.
+ * @return {object} Map of index names to lists of fields.
+ */
+function getSchemaIndexes(schema) {
+	let result = {};
+
+	schema.indexes().forEach(function (index) {
+		let name = (index[1] && index[1].name) || getDefaultIndexName(index[0]);
+
+		result[name] = Object.keys(index[0]);
+	});
+
+	return result;
+}
+
+/**
+ * Recover the name and the list of fields of the index that caused
+ * a duplicate error.
+ *
+ * @param {mongoose.mongo.MongoError} error Error to process.
+ * @param {?{keyPattern: object}} info Structured duplicate key info.
+ * @param {mongoose.Model} model Model on which the error happened.
+ * @param {object} options Plugin options.
+ * @return {Promise<object>} Index name (or null if unknown), list of
+ * duplicated paths, and options of the index (see getIndexOptions()).
+ */
+async function getDuplicateIndex(error, info, model, options) {
+	// Extract the failed index's name from the error message
+	// (with a hacky regex)
+	let matches = null;
+
+	for (let source of getErrorSources(error)) {
+		matches = errorRegex.exec(source.errmsg || source.message);
+
+		if (matches) {
+			break;
+		}
+	}
+
+	let indexName = matches ? matches[1].split('$').pop() : null;
+
+	if (info) {
+		let fields = Object.keys(info.keyPattern);
+
+		if (indexName === null) {
+			let declared = getModelSchemas(model)
+				.reduce(function (indexes, schema) {
+					return indexes.concat(getUniqueIndexes(schema));
+				}, [])
+				.find(function (index) {
+					return index.fields.join() === fields.join();
+				});
+
+			indexName = declared
+				? declared.name
+				: getDefaultIndexName(info.keyPattern);
+		}
+
+		return Object.assign(
+			{ name: indexName, fields: fields },
+			await resolveIndexOptions(model, indexName, fields, options),
+		);
+	}
+
+	// Legacy fallback for servers that do not report the key pattern:
+	// retrieve the failed index's list of fields from its name
+	if (indexName === null) {
+		return Object.assign({ name: null, fields: [] }, getIndexOptions({}));
+	}
+
+	// The primary key index exists on every collection
+	if (indexName === '_id_') {
+		return Object.assign(
+			{ name: indexName, fields: ['_id'] },
+			getIndexOptions({}),
+		);
+	}
+
+	if (options.indexSource === 'schema') {
+		// Avoid querying the server for indexes declared in the schema
+		let schemaIndexes = getModelSchemas(model)
+			.reverse()
+			.reduce(function (indexes, schema) {
+				return Object.assign(indexes, getSchemaIndexes(schema));
+			}, {});
+
+		if (has(schemaIndexes, indexName)) {
+			return Object.assign(
+				{ name: indexName, fields: schemaIndexes[indexName] },
+				getDeclaredIndexOptions(
+					model.schema,
+					schemaIndexes[indexName],
+					indexName,
+				),
+			);
+		}
+	}
+
+	let indexes = await getIndexes(model.collection, options.indexCacheTTL);
+
+	if (!has(indexes, indexName)) {
+		return Object.assign({ name: indexName, fields: [] }, getIndexOptions({}));
+	}
+
+	return Object.assign(
+		{ name: indexName, fields: Object.keys(indexes[indexName].key) },
+		getIndexOptions(indexes[indexName]),
+	);
+}
+
+/**
+ * Find the options of an index whose fields are known. The specification
+ * on the server is preferred, since the index may have been created or
+ * altered outside of the application, but it is only fetched if it is not
+ * cached yet and the schema does not declare the index.
+ *
+ * @param {mongoose.Model} model Model on which the error happened.
+ * @param {string} name Name of the index.
+ * @param {Array<string>} fields Fields of the index.
+ * @param {object} options Plugin options.
+ * @return {Promise<object>} Options of the index (see getIndexOptions()).
+ */
+async function resolveIndexOptions(model, name, fields, options) {
+	if (options.indexSource !== 'schema') {
+		let specs = {};
+
+		try {
+			let indexes = getCachedIndexes(model.collection);
+
+			if (!indexes && !findDeclaredIndex(model.schema, fields, name)) {
+				indexes = getIndexes(model.collection, options.indexCacheTTL);
+			}
+
+			specs = (await indexes) || {};
+		} catch (indexesError) {
+			// Fall back to the declared options
+		}
+
+		if (has(specs, name)) {
+			return getIndexOptions(specs[name]);
+		}
+	}
+
+	return getDeclaredIndexOptions(model.schema, fields, name);
+}
+
+/**
+ * Create the validation error reported for a duplicated path.
+ *
+ * Besides `{PATH}` and `{VALUE}`, messages can use the `{LABEL}`,
+ * `{INDEX}`, `{MODEL}`, `{COLLECTION}`, `{FIELDS}`, `{VALUES}`,
+ * `{CONFLICT_ID}` and `{EXISTING_VALUE}` placeholders, or be functions
+ * that receive all these properties. When the path has a label, it is
+ * used for `{PATH}` as well.
+ *
+ * @param {string} path Duplicated path.
+ * @param {any} value Duplicated value.
+ * @param {object} messages Map fields to unique error messages
+ * @param {object} options Plugin options.
+ * @param {object} [details] Additional details about the duplicate.
+ * @param {mongoose.Schema} [details.schema] Schema of the model, in which
+ * to find the label and the alias of the path.
+ * @param {?string} [details.index] Name of the failing index.
+ * @param {string} [details.model] Name of the model.
+ * @param {string} [details.collection] Name of the collection.
+ * @param {Array<string>} [details.fields] Fields of the failing index.
+ * @param {Array<any>} [details.values] Duplicated values of these fields.
+ * @param {?object} [details.collation] Collation of the failing index.
+ * @param {?object} [details.partialFilterExpression] Filter of the
+ * failing index, if it is partial.
+ * @param {bool} [details.sparse] Whether the failing index is sparse.
+ * @param {?object} [details.conflict] Existing document that already
+ * holds the duplicated value, if it was looked up.
+ * @param {Array<any>} [details.existingValues] Values that the existing
+ * document holds for the fields of the index.
+ * @return {mongoose.Error.ValidatorError} Validation error.
+ */
+function createUniqueError(path, value, messages, options, details) {
+	details = details || {};
+
+	let schemaPath = getSchemaPath(path);
+	let locales = getLocaleChain(details.locale);
+	let labels = options.labels || {};
+	let described = details.schema
+		? describePath(details.schema, path)
+		: { alias: path, label: null };
+	let label = has(labels, schemaPath) ? labels[schemaPath] : described.label;
+	let unique = getDeclaredUnique(messages, schemaPath, details);
+	let message = resolveMessage(
+		schemaPath,
+		details.index,
+		unique,
+		options,
+		locales,
+	);
+
+	let props = {
+		type: 'unique',
+		path: options.useAliases ? described.alias : path,
+		label: label || null,
+		value: value,
+		message: message,
+		index: details.index,
+		model: details.model,
+		collection: details.collection,
+		fields: details.fields || [path],
+		values: details.values || [value],
+		locale: details.locale,
+		collation: details.collation || null,
+		partialFilterExpression: details.partialFilterExpression || null,
+		sparse: Boolean(details.sparse),
+	};
+
+	// Sub-errors reported for a whole index hold all of its values
+	let position = props.fields.indexOf(schemaPath);
+	let redactions = props.fields.map(function (field) {
+		return getRedaction(details.schema, getSchemaPath(field), options);
+	});
+
+	let redactAll = function (values) {
+		return values.map(function (value, i) {
+			return redactValue(value, redactions[i]);
+		});
+	};
+
+	props.values = redactAll(props.values);
+
+	if (position !== -1) {
+		props.value = redactValue(value, redactions[position]);
+	} else if (Array.isArray(value)) {
+		props.value = redactAll(value);
+	}
+
+	let placeholders = {
+		LABEL: label || props.path,
+		INDEX: props.index,
+		MODEL: props.model,
+		COLLECTION: props.collection,
+		FIELDS: joinList(props.fields),
+		VALUES: props.values.join(', '),
+	};
+
+	if (details.conflict !== undefined) {
+		props.conflict = redactDocument(details.conflict, props.fields, redactions);
+		props.conflictId = details.conflict ? details.conflict._id : null;
+		placeholders.CONFLICT_ID = props.conflictId;
+	}
+
+	if (details.existingValues) {
+		props.existingValue =
+			position === -1
+				? redactAll(details.existingValues)
+				: redactValue(details.existingValues[position], redactions[position]);
+		placeholders.EXISTING_VALUE = [].concat(props.existingValue).join(', ');
+	}
+
+	if (unique.code !== undefined) {
+		props.code = unique.code;
+	}
+
+	if (unique.meta !== undefined) {
+		props.meta = unique.meta;
+	}
+
+	if (label) {
+		placeholders.PATH = label;
+	}
+
+	props.message = formatPlaceholders(props.message, placeholders);
+
+	let error = new mongoose.Error.ValidatorError(props);
+
+	// Keep the duplicated value available, but out of serialized errors
+	Object.defineProperty(error, 'originalValue', {
+		value: value,
+		enumerable: false,
+	});
+
+	// Expose machine-readable details next to the message
+	if (props.code !== undefined) {
+		error.code = props.code;
+	}
+
+	if (props.meta !== undefined) {
+		error.meta = props.meta;
+	}
+
+	return error;
+}
+
+/**
+ * Check if a value can be used as a unique error message.
+ *
+ * @param {any} message Value to test.
+ * @return {bool} True if and only if it is a message string or function.
+ */
+function isMessage(message) {
+	return typeof message === 'string' || typeof message === 'function';
+}
+
+/**
+ * Find the locale in which to report errors for an operation: the
+ * `locale` option of a query, then the `$locals.locale` of a document,
+ * then the `locale` plugin option, which can be a resolver function.
+ *
+ * @param {mongoose.Query|mongoose.Document|mongoose.Model} context Query,
+ * document or model that raised the error.
+ * @param {object} options Plugin options.
+ * @return {string|undefined} Locale, if any.
+ */
+function getLocale(context, options) {
+	let locale;
+
+	if (isQuery(context)) {
+		let queryOptions =
+			typeof context.getOptions === 'function'
+				? context.getOptions()
+				: context.options;
+
+		locale = queryOptions && queryOptions.locale;
+	} else if (context && context.$locals) {
+		locale = context.$locals.locale;
+	}
+
+	if (locale) {
+		return locale;
+	}
+
+	if (typeof options.locale === 'function') {
+		return options.locale(context) || undefined;
+	}
+
+	return options.locale || undefined;
+}
+
+/**
+ * Find the session in which an operation ran, if any.
+ *
+ * @param {mongoose.Query|mongoose.Document} context Query or document
+ * that raised the error.
+ * @return {?mongoose.mongo.ClientSession} Session, or null if none.
+ */
+function getSession(context) {
+	if (isQuery(context)) {
+		let queryOptions =
+			typeof context.getOptions === 'function'
+				? context.getOptions()
+				: context.options;
+
+		return (queryOptions && queryOptions.session) || null;
+	}
+
+	if (context && typeof context.$session === 'function') {
+		return context.$session() || null;
+	}
+
+	return null;
+}
+
+/**
+ * List the locales to look messages up in, from the most
+ * specific to the most generic.
+ *
+ * @example
+ * - getLocaleChain('fr-CA') -> ['fr-CA', 'fr']
+ * - getLocaleChain('zh_Hant_TW') -> ['zh-Hant-TW', 'zh-Hant', 'zh']
+ * @param {string} [locale] Requested locale.
+ * @return {Array<string>} Locales to look up.
+ */
+function getLocaleChain(locale) {
+	if (!locale) {
+		return [];
+	}
+
+	let parts = String(locale).split(/[-_]/);
+	let chain = [];
+
+	while (parts.length > 0) {
+		chain.push(parts.join('-'));
+		parts.pop();
+	}
+
+	return chain;
+}
+
+/**
+ * Pick the message of a unique error. For each of the given locales,
+ * the `translations` plugin option is searched for a message for the
+ * path, then for the index. Otherwise, the message from the schema is
+ * used, then translations in the `fallbackLocale`, and lastly the
+ * default message, which can also be a catalog of messages keyed by
+ * locale that is searched in the given locales, then in the fallback.
+ *
+ * @param {string} path Duplicated path.
+ * @param {string} [index] Name of the failing index.
+ * @param {object} declared Unique options declared in the schema for
+ * the duplicate (see getDeclaredUnique()).
+ * @param {object} options Plugin options.
+ * @param {Array<string>} locales Locales to look up, in order.
+ * @return {string|function} Message.
+ */
+function resolveMessage(path, index, declared, options, locales) {
+	let translations = options.translations || {};
+	let fallbacks = getLocaleChain(options.fallbackLocale).filter(
+		function (locale) {
+			return locales.indexOf(locale) === -1;
+		},
+	);
+
+	let translate = function (chain) {
+		for (let locale of chain) {
+			let catalog = translations[locale];
+
+			if (!catalog) continue;
+
+			if (isMessage(catalog[path])) {
+				return catalog[path];
+			}
+
+			if (index && isMessage(catalog[index])) {
+				return catalog[index];
+			}
+		}
+
+		return null;
+	};
+
+	let translated = translate(locales);
+
+	if (translated) {
+		return translated;
+	}
+
+	if (isMessage(declared.message)) {
+		return declared.message;
+	}
+
+	translated = translate(fallbacks);
+
+	if (translated) {
+		return translated;
+	}
+
+	let defaultMessage = options.defaultMessage;
+
+	if (isMessage(defaultMessage)) {
+		return defaultMessage;
+	}
+
+	for (let locale of locales.concat(fallbacks)) {
+		if (isMessage(defaultMessage[locale])) {
+			return defaultMessage[locale];
+		}
+	}
+
+	return DEFAULT_MESSAGE;
+}
+
+/**
+ * Join a list of items into a readable enumeration.
+ *
+ * @example
+ * - joinList(['a']) -> 'a'
+ * - joinList(['a', 'b', 'c']) -> 'a, b and c'
+ * @param {Array<string>} items Items to join.
+ * @return {string} Joined items.
+ */
+function joinList(items) {
+	if (items.length < 2) {
+		return items.join('');
+	}
+
+	return items.slice(0, -1).join(', ') + ' and ' + items[items.length - 1];
+}
+
+/**
+ * Replace all occurrences of the given placeholders in a message.
+ * Mongoose itself only replaces placeholders named after the
+ * validator properties, such as `{PATH}` and `{VALUE}`.
+ *
+ * @example
+ * - formatPlaceholders('{A} and {A}', {A: 1}) -> '1 and 1'
+ * @param {string} message Message to format.
+ * @param {object} placeholders Map of placeholder names to values.
+ * @return {string} Formatted message.
+ */
+function formatPlaceholders(message, placeholders) {
+	if (typeof message !== 'string') {
+		return message;
+	}
+
+	return Object.keys(placeholders).reduce(function (result, name) {
+		let value = placeholders[name];
+		return result
+			.split('{' + name + '}')
+			.join(value === undefined || value === null ? '' : value);
+	}, message);
+}
+
+/**
+ * Extract the options of an index that matter when reporting duplicates
+ * from its specification.
+ *
+ * @param {object} spec Index specification or options.
+ * @return {{collation: ?object, partialFilterExpression: ?object, sparse: bool}}
+ * Collation of the index, filter of partial indexes, and whether the
+ * index is sparse.
+ */
+function getIndexOptions(spec) {
+	return {
+		collation: spec.collation || null,
+		partialFilterExpression: spec.partialFilterExpression || null,
+		sparse: Boolean(spec.sparse),
+	};
+}
+
+/**
+ * Find an index declared in a schema, by its name if an index has this
+ * name, or else by its fields.
+ *
+ * @param {mongoose.Schema} schema Schema to inspect.
+ * @param {Array<string>} fields Fields of the index.
+ * @param {?string} [name] Name of the index.
+ * @return {Array|undefined} Fields and options of the declared index.
+ */
+function findDeclaredIndex(schema, fields, name) {
+	let indexes = schema.indexes();
+
+	let named = indexes.find(function (index) {
+		let indexName =
+			(index[1] && index[1].name) || getDefaultIndexName(index[0]);
+
+		return name && indexName === name;
+	});
+
+	return (
+		named ||
+		indexes.find(function (index) {
+			return Object.keys(index[0]).join() === fields.join();
+		})
+	);
+}
+
+/**
+ * Find the options of the index covering the given fields, as declared
+ * in the schema. Indexes without a collation use the default collation
+ * of the schema.
+ *
+ * @param {mongoose.Schema} schema Schema to inspect.
+ * @param {Array<string>} fields Fields of the index.
+ * @return {object} Options of the index (see getIndexOptions()).
+ */
+function getDeclaredIndexOptions(schema, fields, name) {
+	let index = findDeclaredIndex(schema, fields, name);
+	let options = getIndexOptions((index && index[1]) || {});
+
+	if (!options.collation) {
+		options.collation = schema.options.collation || null;
+	}
+
+	return options;
+}
+
+/**
+ * Restrict a query to the documents that an index covers: partial
+ * indexes only hold documents that match their filter, and sparse
+ * indexes only hold documents that have the indexed fields.
+ *
+ * @param {object} filter Query on the fields of the index.
+ * @param {object} index Options of the index (see getIndexOptions()).
+ * @return {object} Restricted query.
+ */
+function applyIndexFilter(filter, index) {
+	let result = Object.assign({}, filter);
+
+	if (index.sparse) {
+		// Null values are indexed, but querying for null also
+		// matches documents where the field is missing
+		Object.keys(result).forEach(function (field) {
+			if (result[field] === null) {
+				result[field] = { $type: 'null' };
+			}
+		});
+	}
+
+	if (index.partialFilterExpression) {
+		result.$and = [index.partialFilterExpression];
+	}
+
+	return result;
+}
+
+/**
+ * Check if values match the filter of a partial index, in which case
+ * the index holds them. Only the operators that partial filters accept
+ * are evaluated, and the others are assumed to match, so that the
+ * index is still checked when in doubt.
+ *
+ * @param {object} values Values to test.
+ * @param {object} filter Filter of the partial index.
+ * @return {bool} False if and only if the index cannot hold the values.
+ */
+function matchesFilter(values, filter) {
+	return Object.keys(filter).every(function (key) {
+		let condition = filter[key];
+
+		if (key === '$and') {
+			return condition.every(function (subfilter) {
+				return matchesFilter(values, subfilter);
+			});
+		}
+
+		if (key === '$or') {
+			return condition.some(function (subfilter) {
+				return matchesFilter(values, subfilter);
+			});
+		}
+
+		if (key[0] === '$') {
+			return true;
+		}
+
+		let value = getValueByPath(values, key);
+
+		if (!isOperatorObject(condition)) {
+			return matchesCondition(value, '$eq', condition);
+		}
+
+		return Object.keys(condition).every(function (operator) {
+			return matchesCondition(value, operator, condition[operator]);
+		});
+	});
+}
+
+/**
+ * Check if a value satisfies an operator of a partial filter.
+ *
+ * @param {any} value Value to test.
+ * @param {string} operator Query operator, such as `$gt`.
+ * @param {any} operand Operand of the operator.
+ * @return {bool} True if the value satisfies the operator, or if the
+ * operator is not supported.
+ */
+function matchesCondition(value, operator, operand) {
+	if (operator === '$exists') {
+		return (value !== undefined) === Boolean(operand);
+	}
+
+	if (Array.isArray(value)) {
+		// Conditions on arrays match if any of their elements match
+		return value.some(function (item) {
+			return matchesCondition(item, operator, operand);
+		});
+	}
+
+	if (operator === '$eq') {
+		return operand === null
+			? value === null || value === undefined
+			: isSameValue(value, operand);
+	}
+
+	if (operator === '$in') {
+		return operand.some(function (item) {
+			return matchesCondition(value, '$eq', item);
+		});
+	}
+
+	if (['$gt', '$gte', '$lt', '$lte'].indexOf(operator) === -1) {
+		return true;
+	}
+
+	let left = value instanceof Date ? value.getTime() : value;
+	let right = operand instanceof Date ? operand.getTime() : operand;
+
+	// Values of different types are never compared
+	if (left === null || left === undefined || typeof left !== typeof right) {
+		return false;
+	}
+
+	if (operator === '$gt') {
+		return left > right;
+	}
+
+	if (operator === '$gte') {
+		return left >= right;
+	}
+
+	if (operator === '$lt') {
+		return left < right;
+	}
+
+	return left <= right;
+}
+
+/**
+ * List the fields that the filter of a partial index tests.
+ *
+ * @param {object} filter Filter of the partial index.
+ * @return {Array<string>} Tested fields.
+ */
+function getFilterFields(filter) {
+	return Object.keys(filter).reduce(function (fields, key) {
+		if (key === '$and' || key === '$or') {
+			return filter[key].reduce(function (result, subfilter) {
+				return result.concat(getFilterFields(subfilter));
+			}, fields);
+		}
+
+		return key[0] === '$' ? fields : fields.concat(key);
+	}, []);
+}
+
+/**
+ * Look up the existing document that holds the duplicated values.
+ *
+ * @param {mongoose.Model} model Model on which the error happened.
+ * @param {object} keyValue Map of the failing index's fields to
+ * their duplicated values.
+ * @param {bool|object} lookupOptions Value of the `lookupConflict` option.
+ * @param {object} [lookupOptions.projection] Fields to retrieve. By
+ * default, the identifier of the document and the fields of the index.
+ * @param {object} index Options of the failing index, whose collation
+ * and filter are applied (see getIndexOptions()).
+ * @param {?mongoose.mongo.ClientSession} session Session of the failed
+ * operation, so that documents written in its transaction are found.
+ * @return {Promise<?object>} Existing document, or null if not found.
+ */
+function findConflict(model, keyValue, lookupOptions, index, session) {
+	let projection = lookupOptions.projection;
+
+	if (!projection) {
+		projection = { _id: 1 };
+
+		Object.keys(keyValue).forEach(function (field) {
+			projection[field] = 1;
+		});
+	}
+
+	let queryOptions = { projection: projection };
+
+	if (index.collation) {
+		queryOptions.collation = index.collation;
+	}
+
+	if (session) {
+		queryOptions.session = session;
+	}
+
+	return model.collection.findOne(
+		applyIndexFilter(keyValue, index),
+		queryOptions,
+	);
+}
+
+/**
+ * Find the value that an existing document holds for a duplicated field.
+ * Since the index may use a collation, this value can differ from the
+ * duplicated one, for example by its case.
+ *
+ * @param {?object} conflict Existing document.
+ * @param {string} path Duplicated field.
+ * @param {any} value Duplicated value.
+ * @return {any} Existing value, or undefined if it was not retrieved.
+ */
+function getExistingValue(conflict, path, value) {
+	let candidates = getPathValues(conflict, path).reduce(function (
+		values,
+		candidate,
+	) {
+		return values.concat(candidate.value);
+	}, []);
+
+	// Inside arrays, prefer the element that caused the duplicate
+	let match = candidates.find(function (candidate) {
+		return isSameValue(candidate, value);
+	});
+
+	if (match === undefined) {
+		match = candidates.find(function (candidate) {
+			return isSameText(candidate, value);
+		});
+	}
+
+	return match === undefined ? candidates[0] : match;
+}
+
+/**
+ * Check if two values are the same string regardless of case, as
+ * case-insensitive collations would consider them.
+ *
+ * @param {any} value Written value.
+ * @param {any} existing Existing value.
+ * @return {bool} True if and only if both strings only differ by case.
+ */
+function isSameText(value, existing) {
+	return (
+		typeof value === 'string' &&
+		typeof existing === 'string' &&
+		value.toLowerCase() === existing.toLowerCase()
+	);
+}
+
+/**
+ * Search for all the values matching a path like getPathValues() does,
+ * and expand arrays of values into their elements, which keep the path
+ * of the array.
+ *
+ * @example
+ * - getPathElements({tags: ['a', 'b']}, 'tags')
+ *   -> [{path: 'tags', value: 'a'}, {path: 'tags', value: 'b'}]
+ * @param {object} obj Nested object to search.
+ * @param {string} path Path of the values to search for.
+ * @return {Array<{path: string, value: any}>} Matching values.
+ */
+function getPathElements(obj, path) {
+	return getPathValues(obj, path).reduce(function (result, candidate) {
+		if (!Array.isArray(candidate.value)) {
+			return result.concat(candidate);
+		}
+
+		return result.concat(
+			candidate.value.map(function (item) {
+				return { path: candidate.path, value: item };
+			}),
+		);
+	}, []);
+}
+
+/**
+ * Find which of the checked values of a field collided with an
+ * existing document, along with the value that this document holds.
+ *
+ * @param {Array<{path: string, value: any}>} elements Checked values,
+ * as listed by getPathElements().
+ * @param {string} field Path of the field in dotted notation.
+ * @param {object} conflict Existing document.
+ * @return {{path: string, value: any, existingValue: any}} Location
+ * of the duplicate.
+ */
+function locateConflict(elements, field, conflict) {
+	let located = elements.map(function (element) {
+		return {
+			path: element.path,
+			value: element.value,
+			existingValue: getExistingValue(conflict, field, element.value),
+		};
+	});
+
+	return (
+		located.find(function (location) {
+			return isSameValue(location.value, location.existingValue);
+		}) ||
+		located.find(function (location) {
+			return isSameText(location.value, location.existingValue);
+		}) ||
+		located[0]
+	);
+}
+
+/**
+ * Find the value of a duplicated field among the written values. When
+ * the field is inside an array, the element holding the duplicated
+ * value is searched for, so that its index is part of the reported path.
+ * Arrays of values, such as those pushed by an update, are searched for
+ * the element that collided, which is reported on the array's path.
+ *
+ * @example
+ * - locateValue({items: [{sku: 'a'}, {sku: 'b'}]}, 'items.sku', {'items.sku': 'b'})
+ *   -> {path: 'items.1.sku', value: 'b'}
+ * - locateValue({tags: ['a', 'b']}, 'tags', {tags: 'b'})
+ *   -> {path: 'tags', value: 'b'}
+ * @param {object} values Hashmap containing data about duplicated values
+ * @param {string} path Duplicated field.
+ * @param {object} [keyValue] Duplicated values reported by the driver.
+ * @return {{path: string, value: any}} Path and value of the duplicate.
+ */
+function locateValue(values, path, keyValue) {
+	let candidates = getPathValues(values, path);
+	let expected = keyValue && has(keyValue, path) ? keyValue[path] : undefined;
+	let elements = getPathElements(values, path);
+
+	let match = elements.find(function (element) {
+		return expected !== undefined && isSameValue(element.value, expected);
+	});
+
+	if (!match && candidates.length === 1) {
+		match = candidates[0];
+	}
+
+	return match || { path: path, value: expected };
+}
+
+/**
+ * Check if a written value is the same as a value reported by the
+ * driver, which may have been cast to another type.
+ *
+ * @param {any} value Written value.
+ * @param {any} expected Reported value.
+ * @return {bool} True if and only if both values are the same.
+ */
+function isSameValue(value, expected) {
+	if (value === expected) {
+		return true;
+	}
+
+	if (
+		value === null ||
+		value === undefined ||
+		expected === null ||
+		expected === undefined ||
+		isPlainObject(value) ||
+		isPlainObject(expected)
+	) {
+		return false;
+	}
+
+	return String(value) === String(expected);
+}
+
+/**
+ * Beautify an E11000 or 11001 (unique constraint fail) Mongo error
+ * by turning it into a validation error
+ *
+ * @param {mongoose.mongo.MongoError} err Error to process
+ * @param {mongoose.Model} model Model on which the error happened.
+ * @param {object} values Hashmap containing data about duplicated values
+ * @param {object} messages Map fields to unique error messages
+ * @param {object} options Plugin options.
+ * @param {string} [locale] Locale in which to report the error.
+ * @param {?mongoose.mongo.ClientSession} [session] Session of the
+ * failed operation.
+ * @return {Promise<mongoose.Error.ValidationError|mongoose.mongo.MongoError>}
+ * Beautified error message, or the original error if the failing index
+ * is unknown and the `unknownIndex` option is set to `passthrough`
+ */
+async function beautify(
+	error,
+	model,
+	values,
+	messages,
+	options,
+	locale,
+	session,
+) {
+	let info = getDuplicateKeyInfo(error);
+	let index = await getDuplicateIndex(error, info, model, options);
+
+	if (index.fields.length === 0) {
+		// The failing index could not be found, for example because it
+		// was created outside of the application
+		let unknownIndex = options.unknownIndex || 'keyValue';
+		let keyValue = getDuplicateKeyValue(error);
+
+		if (unknownIndex === 'passthrough') {
+			return error;
+		}
+
+		if (
+			unknownIndex === 'generic' ||
+			!keyValue ||
+			Object.keys(keyValue).length === 0
+		) {
+			return createGenericError(error, index, model, messages, options, locale);
+		}
+
+		index.fields = Object.keys(keyValue);
+		info = { keyPattern: null, keyValue: keyValue };
+	}
+
+	let paths = index.fields;
+	let keyValue = {};
+
+	let locations = paths.map(function (path) {
+		let location = locateValue(values, path, info && info.keyValue);
+
+		keyValue[path] =
+			info && info.keyValue && has(info.keyValue, path)
+				? info.keyValue[path]
+				: location.value;
+
+		return location;
+	});
+
+	let dupValues = locations.map(function (location) {
+		return location.value;
+	});
+
+	let details = {
+		schema: model.schema,
+		index: index.name,
+		model: model.modelName,
+		collection: model.collection.name,
+		fields: paths,
+		values: dupValues,
+		locale: locale,
+		collation: index.collation,
+		partialFilterExpression: index.partialFilterExpression,
+		sparse: index.sparse,
+	};
+
+	if (options.lookupConflict && paths.length > 0) {
+		try {
+			details.conflict = await findConflict(
+				model,
+				keyValue,
+				options.lookupConflict,
+				index,
+				session,
+			);
+		} catch (lookupError) {
+			// The lookup only adds details, so the duplicate is
+			// still reported when it fails
+			details.conflict = null;
+		}
+
+		if (details.conflict) {
+			details.existingValues = paths.map(function (path) {
+				return getExistingValue(details.conflict, path, keyValue[path]);
+			});
+		}
+	}
+
+	let keyPattern =
+		info && info.keyPattern
+			? info.keyPattern
+			: paths.reduce(function (pattern, path) {
+					pattern[path] = 1;
+					return pattern;
+				}, {});
+
+	let suberrors = createIndexErrors(
+		locations,
+		index.name || getDefaultIndexName(keyPattern),
+		messages,
+		options,
+		details,
+	);
+
+	return createValidationError(
+		suberrors,
+		{
+			model: model.modelName,
+			collection: model.collection.name,
+			indexName: index.name,
+			keyPattern: keyPattern,
+			keyValue: redactKeyValue(keyValue, model.schema, options),
+			collation: index.collation,
+			cause: error,
+		},
+		options,
+	);
+}
+
+/**
+ * Create the sub-errors of a duplicate on an index. Depending on the
+ * `compoundMode` option, compound indexes get either a sub-error per
+ * field (`perField`, by default), a single sub-error keyed by the name
+ * of the index (`perIndex`) or a single sub-error on their last field
+ * (`lastField`), unless the `compoundPrimary` option maps the name of
+ * the index to another of its fields.
+ *
+ * @param {Array<{path: string, value: any}>} locations Path and value of
+ * each duplicated field, in the order of the index.
+ * @param {string} indexName Name of the failing index.
+ * @param {object} messages Map fields to unique error messages
+ * @param {object} options Plugin options.
+ * @param {object} details Additional details about the duplicate.
+ * @return {object} Map of paths to validation errors.
+ */
+function createIndexErrors(locations, indexName, messages, options, details) {
+	let mode = locations.length > 1 ? options.compoundMode : 'perField';
+	let suberrors = {};
+
+	if (mode === 'perIndex') {
+		// Only use options declared for the whole index, rather
+		// than those of one of its fields
+		suberrors[indexName] = createUniqueError(
+			indexName,
+			details.values,
+			Object.assign({}, messages, {
+				[indexName]: Object.assign(
+					{ message: COMPOUND_MESSAGE },
+					has(messages, indexName) ? messages[indexName] : {},
+				),
+			}),
+			options,
+			details,
+		);
+
+		return suberrors;
+	}
+
+	if (mode === 'lastField') {
+		let primary = (options.compoundPrimary || {})[indexName];
+		let location = locations.find(function (location) {
+			return getSchemaPath(location.path) === primary;
+		});
+
+		locations = location ? [location] : locations.slice(-1);
+	}
+
+	locations.forEach(function (location) {
+		let error = createUniqueError(
+			location.path,
+			location.value,
+			messages,
+			options,
+			details,
+		);
+
+		// Key errors by their reported path, which may be an alias
+		suberrors[error.path] = error;
+	});
+
+	return suberrors;
+}
+
+/**
+ * Create a validation error for a duplicate on an index whose fields are
+ * unknown. Its only sub-error is keyed by the name of the index, or by
+ * `unique` if the name is unknown as well.
+ *
+ * @param {mongoose.mongo.MongoError} error Original error.
+ * @param {{name: ?string}} index Failing index.
+ * @param {mongoose.Model} model Model on which the error happened.
+ * @param {object} messages Map fields to unique error messages
+ * @param {object} options Plugin options.
+ * @param {string} [locale] Locale in which to report the error.
+ * @return {mongoose.Error.ValidationError} Validation error.
+ */
+function createGenericError(error, index, model, messages, options, locale) {
+	let path = index.name || 'unique';
+	let suberrors = {};
+
+	suberrors[path] = createUniqueError(
+		path,
+		undefined,
+		Object.assign({}, messages, { [path]: { message: GENERIC_MESSAGE } }),
+		options,
+		{
+			index: index.name,
+			model: model.modelName,
+			collection: model.collection.name,
+			fields: [],
+			values: [],
+			locale: locale,
+		},
+	);
+
+	return createValidationError(
+		suberrors,
+		{
+			model: model.modelName,
+			collection: model.collection.name,
+			indexName: index.name,
+			keyValue: redactKeyValue(
+				getDuplicateKeyValue(error),
+				model.schema,
+				options,
+			),
+			cause: error,
+		},
+		options,
+	);
+}
+
+/**
+ * Wrap unique errors into a validation error, either with the
+ * `errorFactory` option or as an UniqueValidationError.
+ *
+ * @param {object} suberrors Map of paths to validation errors.
+ * @param {object} details Details about the failure, see
+ * UniqueValidationError.
+ * @param {object} options Plugin options.
+ * @return {Error} Validation error.
+ */
+function createValidationError(suberrors, details, options) {
+	if (typeof options.errorFactory === 'function') {
+		return options.errorFactory(suberrors, details);
+	}
+
+	return new UniqueValidationError(suberrors, details);
+}
+
+/**
+ * Validation error reported when documents could not be written
+ * because of unique constraint failures.
+ */
+class UniqueValidationError extends mongoose.Error.ValidationError {
+	/**
+	 * @param {object} suberrors Map of paths to validation errors.
+	 * @param {object} [details] Details about the failure.
+	 * @param {string} [details.model] Name of the model.
+	 * @param {string} [details.collection] Name of the collection.
+	 * @param {?string} [details.indexName] Name of the failing index.
+	 * @param {?object} [details.keyPattern] Fields of the failing index.
+	 * @param {?object} [details.keyValue] Duplicated values.
+	 * @param {?object} [details.collation] Collation of the failing index.
+	 * @param {Error} [details.cause] Original driver error.
+	 */
+	constructor(suberrors, details) {
+		super();
+		details = details || {};
+
+		if (details.model) {
+			this._message = details.model + ' validation failed';
+			this.message = this._message;
+		}
+
+		Object.keys(suberrors).forEach(function (path) {
+			this.addError(path, suberrors[path]);
+		}, this);
+
+		this.isUniqueViolation = true;
+		this.indexName = details.indexName || null;
+		this.keyPattern = details.keyPattern || null;
+		this.keyValue = details.keyValue || null;
+		this.collation = details.collation || null;
+		this.collection = details.collection || null;
+
+		// Driver errors repeat the duplicated values, which must not
+		// reach serialized errors or logs when they are redacted
+		if (details.cause) {
+			Object.defineProperty(this, 'cause', {
+				value: details.cause,
+				enumerable: false,
+				writable: true,
+				configurable: true,
+			});
+		}
+	}
+
+	/**
+	 * Serialize the error without its cause, which is a driver error
+	 * that is not meant to be exposed.
+	 *
+	 * @return {object} Serializable representation.
+	 */
+	toJSON() {
+		return {
+			name: this.name,
+			message: this.message,
+			errors: this.errors,
+			isUniqueViolation: this.isUniqueViolation,
+			indexName: this.indexName,
+			keyPattern: this.keyPattern,
+			keyValue: this.keyValue,
+			collation: this.collation,
+			collection: this.collection,
+		};
+	}
+}
+
+/**
+ * Choose the error to report when an error could not be beautified.
+ * By default, the original error is reported, with the reason why it
+ * could not be beautified attached as its `cause`. The `onError` option
+ * can be used to log the failure or to report another error instead.
+ *
+ * @param {Error} beautifyError Reason why beautifying failed.
+ * @param {mongoose.mongo.MongoError} error Original error.
+ * @param {object} options Plugin options.
+ * @return {Error} Error to report.
+ */
+function recover(beautifyError, error, options) {
+	error.cause = beautifyError;
+
+	if (typeof options.onError === 'function') {
+		try {
+			let substitute = options.onError(beautifyError, error);
+
+			if (substitute) {
+				return substitute;
+			}
+		} catch (onErrorError) {
+			return onErrorError;
+		}
+	}
+
+	return error;
+}
+
+/**
+ * Error reported when some documents of a bulk operation
+ * (`insertMany()`, `bulkWrite()` or `bulkSave()`) could not be written
+ * because of unique constraint failures.
+ */
+class UniqueBulkWriteError extends mongoose.Error {
+	/**
+	 * @param {mongoose.mongo.MongoError} error Original bulk write error.
+	 * @param {string} operation Name of the failed operation.
+	 * @param {Array<mongoose.Error.ValidationError>} validationErrors One
+	 * beautified error per document that failed, in input order.
+	 * @param {Array} results Outcome of each input document: either the
+	 * inserted document or the error it caused.
+	 */
+	constructor(error, operation, validationErrors, results) {
+		super(
+			`${operation} failed with ${validationErrors.length} ` +
+				'unique validation errors',
+		);
+
+		this.operation = operation;
+		this.validationErrors = validationErrors;
+		this.results = results;
+		this.insertedDocs = error.insertedDocs || [];
+
+		// Raw driver data repeats the duplicated values, so keep it out
+		// of serialized errors, which may have to be redacted
+		[
+			['writeErrors', error.writeErrors],
+			['result', error.result],
+			['cause', error],
+		].forEach(function (property) {
+			Object.defineProperty(this, property[0], {
+				value: property[1],
+				enumerable: false,
+				writable: true,
+				configurable: true,
+			});
+		}, this);
+	}
+}
+
+Object.defineProperty(UniqueBulkWriteError.prototype, 'name', {
+	value: 'UniqueBulkWriteError',
+});
+
+/**
+ * Check if the given error is a bulk write error that contains
+ * at least one unique error and that was not yet beautified.
  *
  * @param {Object} err Error to test.
- * @return {bool} True if and only if it is an unique error.
+ * @return {bool} True if and only if it is an unique bulk error.
  */
-function isUniqueError(err) {
+function isUniqueBulkError(err) {
 	return (
 		err &&
-		MONGO_ERRORS.has(err.name) &&
-		(err.code === 11000 || err.code === 11001)
+		!(err instanceof UniqueBulkWriteError) &&
+		getWriteErrors(err).some(isUniqueWriteError)
 	);
 }
 
 /**
- * Search for the value matching a path in dotted notation
- * inside an object.
+ * Retrieve the values that an update (or the document it inserts
+ * when upserting) gives to each path. Values are read from the query
+ * filter's equality conditions, from replacement fields, from the
+ * `$setOnInsert`, `$set`, `$push` and `$addToSet` operators and from
+ * the `$set` and `$addFields` stages of aggregation pipeline updates,
+ * in increasing order of precedence.
  *
  * @example
- * - getValueByPath({a: {b: 2}}, 'a.b') -> 2
- * - getValueByPath({}, 'a.b') -> undefined
- * @param {object} obj Nested object to search.
- * @param {string} path Path of the value to search for.
- * @return {any} Matching value, or undefined if none.
+ * - getUpdateValues({$set: {'a.b': 2}}) -> {a: {b: 2}}
+ * - getUpdateValues({$push: {'a.$.b': 2}}, {c: 3}) -> {a: {b: 2}, c: 3}
+ * @param {object|Array<object>} update Update document or pipeline.
+ * @param {object} [filter] Query filter.
+ * @return {object} Hashmap containing the updated values.
  */
-function getValueByPath(obj, path) {
-	const segments = path.split('.');
-	let result = obj;
+function getUpdateValues(update, filter) {
+	let values = {};
 
-	for (
-		let i = 0;
-		i < segments.length && result !== null && result !== undefined;
-		++i
-	) {
-		result = result[segments[i]];
+	if (filter) {
+		assignValues(values, filter, '', false);
 	}
 
-	return result;
+	if (Array.isArray(update)) {
+		update.forEach(function (stage) {
+			assignValues(values, stage.$addFields || {}, '', true);
+			assignValues(values, stage.$set || {}, '', true);
+		});
+
+		return values;
+	}
+
+	update = update || {};
+
+	assignValues(values, update, '', false);
+	assignValues(values, update.$setOnInsert || {}, '', false);
+	assignValues(values, update.$set || {}, '', false);
+
+	['$push', '$addToSet'].forEach(function (operator) {
+		let items = update[operator] || {};
+
+		Object.keys(items).forEach(function (key) {
+			let item = items[key];
+
+			if (isPlainObject(item) && has(item, '$each')) {
+				item = item.$each;
+			}
+
+			assignValues(values, { [key]: item }, '', false);
+		});
+	});
+
+	return values;
 }
 
 /**
- * Recursively collect all messages inside a schema tree and
- * change string values to `true`.
+ * Retrieve the values that a failed bulk operation tried to write.
  *
- * @param {object} tree Schema tree to update and collect from.
- * @return {object} Map of collected messages.
+ * @param {Object} writeError Write error reported for the operation.
+ * @return {object} Hashmap containing the written values.
  */
-function collectMessages(tree) {
-	let result = {};
+function getWriteErrorValues(writeError) {
+	let op = (writeError.err || writeError).op;
 
-	for (let key in tree) {
-		if (!has(tree, key)) continue;
-		if (typeof tree[key] !== 'object' || tree[key] === null) continue;
+	if (!op) {
+		return {};
+	}
 
-		if (typeof tree[key].unique === 'string') {
-			// Schema property that has a custom
-			// unique message
-			result[key] = tree[key].unique;
-			tree[key].unique = true;
-		} else {
-			// Nested schema
-			let tarnget = tree[key];
+	// Update operations are reported as {q: filter, u: update}
+	if ('u' in op && 'q' in op) {
+		return getUpdateValues(op.u, op.q);
+	}
 
-			if (tarnget instanceof mongoose.Schema) {
-				tarnget = tarnget.tree;
-			}
+	return op;
+}
+
+/**
+ * Beautify a bulk write error by turning each of its unique
+ * constraint failures into a validation error for the input
+ * document that caused it.
+ *
+ * @param {mongoose.mongo.MongoError} error Error to process.
+ * @param {string} operation Name of the failed operation.
+ * @param {mongoose.Model} model Model on which the error happened.
+ * @param {object} options Plugin options.
+ * @param {string} [locale] Locale in which to report the errors.
+ * @param {?mongoose.mongo.ClientSession} [session] Session of the
+ * failed operation.
+ * @return {Promise<UniqueBulkWriteError|mongoose.mongo.MongoError>}
+ * Beautified error, or the original error if none of its failures
+ * could be beautified.
+ */
+async function beautifyBulk(error, operation, model, options, locale, session) {
+	let results = [];
 
-			let subtree = collectMessages(tarnget);
+	if (Array.isArray(error.results)) {
+		// Unordered insertMany: Mongoose reports the outcome
+		// of each input document
+		results = error.results.slice();
+	} else if (Array.isArray(error.insertedDocs)) {
+		// Ordered insertMany: all documents before the failing
+		// one were inserted
+		results = error.insertedDocs.slice();
+	}
 
-			for (let subkey in subtree) {
-				if (has(subtree, subkey)) {
-					result[key + '.' + subkey] = subtree[subkey];
-				}
-			}
+	let validationErrors = [];
+
+	for (let writeError of getWriteErrors(error)) {
+		if (!isUniqueWriteError(writeError)) continue;
+
+		let values = getWriteErrorValues(writeError);
+		let target = getDiscriminatorModel(model, values);
+
+		let beautified = await beautify(
+			writeError,
+			target,
+			values,
+			getModelMessages(target),
+			options,
+			locale,
+			session,
+		);
+
+		if (beautified === writeError) {
+			// Left as is with the `passthrough` option
+			continue;
 		}
+
+		results[writeError.index] = beautified;
+		validationErrors.push({ index: writeError.index, error: beautified });
 	}
 
-	return result;
+	if (validationErrors.length === 0) {
+		return error;
+	}
+
+	validationErrors.sort(function (a, b) {
+		return a.index - b.index;
+	});
+
+	return new UniqueBulkWriteError(
+		error,
+		operation,
+		validationErrors.map(function (item) {
+			return item.error;
+		}),
+		results,
+	);
 }
 
 /**
- * Retrieve index information using collection#indexInformation
- * or previously cached data.
+ * Check whether the given values would conflict with existing documents
+ * on the unique indexes of a model, without writing anything.
  *
- * @param {mongoose.Collection} collection Mongoose collection.
- *
- * Resolved with index information data.
- * @return {Promise<mongoose.mongo.BSON.Documen>}
+ * @this {mongoose.Model} Model to check.
+ * @param {mongoose.Schema} schema Schema of the model.
+ * @param {object} messages Map fields to unique error messages
+ * @param {object} options Plugin options.
+ * @param {object} candidate Values to check, either as a plain object or
+ * as a partial update.
+ * @param {object} [checkOptions] Options for the check.
+ * @param {any} [checkOptions.excludeId] Identifier of a document that
+ * should not be reported as conflicting, usually the updated one.
+ * @param {mongoose.mongo.ClientSession} [checkOptions.session] Session
+ * to run the check in.
+ * @param {string} [checkOptions.locale] Locale in which to report
+ * conflicts.
+ * @return {Promise<?mongoose.Error.ValidationError>} Resolved with null
+ * if there is no conflict, or with an error similar to the one that
+ * a failed write would produce.
  */
-async function getIndexes(collection) {
-	const cacheKey = `${collection.dbName}_${collection.name}`;
+async function checkUnique(schema, messages, options, candidate, checkOptions) {
+	checkOptions = checkOptions || {};
+
+	let values = getUpdateValues(candidate);
 
-	if (INDEXES_CACHE.has(cacheKey)) {
-		return INDEXES_CACHE.get(cacheKey);
+	if (typeof this.castObject === 'function') {
+		values = this.castObject(values);
 	}
 
-	const indexes = await collection.indexInformation();
+	let excludeId = checkOptions.excludeId;
+
+	if (excludeId !== undefined && schema.path('_id')) {
+		excludeId = schema.path('_id').cast(excludeId);
+	}
+
+	let suberrors = await findConflicts(
+		this,
+		getUniqueIndexes(schema),
+		values,
+		messages,
+		options,
+		{
+			excludeId: excludeId,
+			session: checkOptions.session,
+			locale: checkOptions.locale || getLocale(this, options),
+		},
+	);
+
+	if (Object.keys(suberrors).length === 0) {
+		return null;
+	}
 
-	INDEXES_CACHE.set(cacheKey, indexes);
+	return createValidationError(
+		suberrors,
+		{ model: this.modelName, collection: this.collection.name },
+		options,
+	);
+}
 
-	return indexes;
+/**
+ * List the unique indexes declared on a schema, both through
+ * path-level `unique` options and through Schema#index().
+ *
+ * @param {mongoose.Schema} schema Schema to inspect.
+ * @return {Array<{name: string, fields: Array<string>, options: object}>}
+ * Unique indexes.
+ */
+function getUniqueIndexes(schema) {
+	return schema
+		.indexes()
+		.filter(function (index) {
+			return index[1] && index[1].unique;
+		})
+		.map(function (index) {
+			return {
+				name: index[1].name || getDefaultIndexName(index[0]),
+				fields: Object.keys(index[0]),
+				options: index[1],
+			};
+		});
 }
 
 /**
- * Beautify an E11000 or 11001 (unique constraint fail) Mongo error
- * by turning it into a validation error
+ * Query a collection for documents that would conflict with the given
+ * values on any of the given unique indexes. Indexes for which some
+ * values are missing are not checked. Fields inside arrays are checked
+ * for each of their elements, and reported on the element that collided.
  *
- * @param {mongoose.mongo.MongoError} err Error to process
- * @param {mongoose.Collection} collection Mongoose collection.
- * @param {object} values Hashmap containing data about duplicated values
+ * @param {mongoose.Model} model Model whose collection to query.
+ * @param {Array<{name: string, fields: Array<string>}>} indexes Unique
+ * indexes to check.
+ * @param {object} values Hashmap containing the values to check.
  * @param {object} messages Map fields to unique error messages
- * @param {string} defaultMessage Default message formatter string
- * @return {Promise<mongoose.Error.ValidationError>} Beautified error message
- */
-function beautify(error, collection, values, messages, defaultMessage) {
-	// Try to recover the list of duplicated fields
-	let onSuberrors = global.Promise.resolve({});
-
-	// Extract the failed duplicate index's name from the
-	// from the error message (with a hacky regex)
-	let matches = errorRegex.exec(error.message);
-
-	if (matches) {
-		let indexName = matches[1].split('$').pop();
-
-		// Retrieve that index's list of fields
-		onSuberrors = getIndexes(collection).then(function (indexes) {
-			let suberrors = {};
-
-			// Create a suberror per duplicated field
-			if (indexName in indexes) {
-				indexes[indexName].forEach(function (field) {
-					let path = field[0];
-					let props = {
-						type: 'unique',
-						path: path,
-						value: getValueByPath(values, path),
-						message:
-							typeof messages[path] === 'string'
-								? messages[path]
-								: defaultMessage,
-					};
-
-					suberrors[path] = new mongoose.Error.ValidatorError(props);
-				});
+ * @param {object} options Plugin options.
+ * @param {object} [queryOptions] Options for the lookup.
+ * @param {any} [queryOptions.excludeId] Identifier of a document that
+ * should not be reported as conflicting, usually the checked one.
+ * @param {mongoose.mongo.ClientSession} [queryOptions.session] Session
+ * to run the lookup in.
+ * @param {string} [queryOptions.locale] Locale in which to report
+ * conflicts.
+ * @return {Promise<object>} Map of conflicting paths to validation errors.
+ */
+async function findConflicts(
+	model,
+	indexes,
+	values,
+	messages,
+	options,
+	queryOptions,
+) {
+	queryOptions = queryOptions || {};
+
+	let lookups = indexes.map(async function (index) {
+		let filter = {};
+		let elements = {};
+
+		for (let field of index.fields) {
+			elements[field] = getPathElements(values, field);
+
+			if (elements[field].length === 0) {
+				return null;
 			}
 
-			return suberrors;
+			filter[field] =
+				elements[field].length === 1
+					? elements[field][0].value
+					: {
+							$in: elements[field].map(function (element) {
+								return element.value;
+							}),
+						};
+		}
+
+		let indexOptions = getDeclaredIndexOptions(
+			model.schema,
+			index.fields,
+			index.name,
+		);
+		let projection = { _id: 1 };
+
+		// Values left out of a partial index cannot conflict
+		if (
+			indexOptions.partialFilterExpression &&
+			!matchesFilter(values, indexOptions.partialFilterExpression)
+		) {
+			return null;
+		}
+
+		// Only look for documents that the index holds, so that
+		// documents left out of partial indexes do not conflict
+
+		filter = applyIndexFilter(filter, indexOptions);
+
+		if (queryOptions.excludeId !== undefined) {
+			filter._id = { $ne: queryOptions.excludeId };
+		}
+
+		index.fields.forEach(function (field) {
+			projection[field] = 1;
+		});
+
+		let conflict = await model.collection.findOne(filter, {
+			projection: projection,
+			collation: indexOptions.collation || undefined,
+			session: queryOptions.session || undefined,
+		});
+
+		return conflict
+			? {
+					index: index,
+					conflict: conflict,
+					options: indexOptions,
+					elements: elements,
+				}
+			: null;
+	});
+
+	let suberrors = {};
+
+	(await global.Promise.all(lookups)).forEach(function (lookup) {
+		if (!lookup) return;
+
+		let index = lookup.index;
+
+		let locations = index.fields.map(function (field) {
+			return locateConflict(lookup.elements[field], field, lookup.conflict);
+		});
+
+		let dupValues = locations.map(function (location) {
+			return location.value;
 		});
-	}
 
-	return onSuberrors.then(function (suberrors) {
-		let beautifiedError = new mongoose.Error.ValidationError();
+		let details = {
+			schema: model.schema,
+			index: index.name,
+			model: model.modelName,
+			collection: model.collection.name,
+			fields: index.fields,
+			values: dupValues,
+			locale: queryOptions.locale,
+			collation: lookup.options.collation,
+			partialFilterExpression: lookup.options.partialFilterExpression,
+			sparse: lookup.options.sparse,
+			existingValues: locations.map(function (location) {
+				return location.existingValue;
+			}),
+		};
 
-		beautifiedError.errors = suberrors;
-		return beautifiedError;
+		Object.assign(
+			suberrors,
+			createIndexErrors(
+				locations.map(function (location) {
+					return { path: location.path, value: location.value };
+				}),
+				index.name,
+				messages,
+				options,
+				details,
+			),
+		);
 	});
+
+	return suberrors;
 }
 
 module.exports = function (schema, options) {
 	options = options || {};
 
 	if (!options.defaultMessage) {
-		options.defaultMessage = 'Path `{PATH}` ({VALUE}) is not unique.';
+		options.defaultMessage = DEFAULT_MESSAGE;
 	}
 
-	// Fetch error messages defined in the "unique" field,
-	// store them for later use and replace them with true
-	let tree = schema.tree;
-	let messages = collectMessages(tree);
+	// Registering the plugin again on the same schema, for example both
+	// globally and locally, or on a copy of a schema that already has
+	// it, would only add duplicate hooks
+	let registrations = schema.plugins.filter(function (plugin) {
+		return plugin.fn === module.exports;
+	});
 
-	schema._indexes.forEach(function (index) {
-		if (index[0] && index[1] && index[1].unique) {
-			Object.keys(index[0]).forEach(function (indexKey) {
-				messages[indexKey] = index[1].unique;
+	if (registrations.length > 1) {
+		return;
+	}
+
+	// Record the options of the indexes declared so far. Options are
+	// collected again when the schema gets compiled, so that indexes and
+	// paths added after the plugin are taken into account as well
+	collectSchemaMessages(schema);
+	normalizeSchemaIndexes(schema);
+
+	// Optionally look for conflicts before saving, so that all
+	// duplicated paths get reported along with other validation errors
+	// (MongoDB only reports the first failing index). The post hook
+	// below still catches duplicates that are inserted concurrently
+	if (options.precheck) {
+		schema.pre('validate', async function () {
+			let doc = this;
+
+			if (doc.$isSubdocument) {
+				return;
+			}
+
+			let model = doc.constructor;
+
+			// Changes inside arrays are tracked on the paths of elements
+			let modified = doc.modifiedPaths().map(getSchemaPath);
+
+			let indexes = getUniqueIndexes(model.schema).filter(function (index) {
+				// Documents can also enter partial indexes when
+				// the fields that their filter tests change
+				let fields = index.fields.concat(
+					getFilterFields(index.options.partialFilterExpression || {}),
+				);
+
+				return (
+					doc.isNew ||
+					fields.some(function (field) {
+						return doc.isModified(field) || modified.indexOf(field) !== -1;
+					})
+				);
+			});
+
+			// Read raw values, as getters could change them
+			let values = doc.toObject({
+				getters: false,
+				virtuals: false,
+				depopulate: true,
+				transform: false,
+			});
+
+			let suberrors = await findConflicts(
+				model,
+				indexes,
+				values,
+				getModelMessages(model),
+				options,
+				{
+					excludeId: doc._id,
+					session: doc.$session(),
+					locale: getLocale(doc, options),
+				},
+			);
+
+			Object.keys(suberrors).forEach(function (path) {
+				doc.invalidate(path, suberrors[path]);
 			});
+		});
+	}
+
+	// Keep cached index information in sync with the indexes of each
+	// model, and fetch it ahead of the first duplicate error
+	schema.on('init', function (model) {
+		MESSAGES_CACHE.set(model.schema, collectSchemaMessages(model.schema));
 
-			index[1].unique = true;
+		// Copies of the schema do not keep the patched method
+		normalizeSchemaIndexes(model.schema);
+
+		if (model[watchedKey]) {
+			return;
 		}
+
+		model[watchedKey] = true;
+		watchIndexChanges(model.collection);
+
+		model.on('index', function (indexError) {
+			invalidateIndexes(model.collection);
+
+			if (!indexError && options.indexSource !== 'schema') {
+				getIndexes(model.collection, options.indexCacheTTL).catch(function () {
+					// Indexes will be fetched again upon the first error
+				});
+			}
+		});
 	});
 
+	// Dry-run API reporting the same errors as a failed write
+	if (!schema.statics.checkUnique) {
+		schema.static('checkUnique', function (candidate, checkOptions) {
+			return checkUnique.call(
+				this,
+				this.schema,
+				getModelMessages(this),
+				options,
+				candidate,
+				checkOptions,
+			);
+		});
+	}
+
 	// Post hook that gets called after any save or update
 	// operation and that filters unique errors
 	let postHook = function (error, _, next) {
@@ -216,43 +2938,148 @@ module.exports = function (schema, options) {
 
 		if (isUniqueError(error)) {
 			// Beautify unicity constraint failure errors
-			let collection, values;
-
-			if (this.constructor.name == 'Query') {
-				collection = this.model.collection;
-				values = this._update;
+			let model, values;
 
-				if ('$set' in values) {
-					values = Object.assign({}, values, values.$set);
-					delete values.$set;
-				}
+			if (isQuery(this)) {
+				model = this.model;
+				values = getUpdateValues(this.getUpdate(), this.getFilter());
 			} else {
-				collection = doc.collection;
+				model = doc.constructor;
 				values = doc;
 			}
 
-			beautify(error, collection, values, messages, options.defaultMessage)
-				.then(next)
-				.catch(function (beautifyError) {
-					setTimeout(function () {
-						throw new Error(
-							'mongoose-beautiful-unique-validation error: ' +
-								beautifyError.stack,
-						);
-					});
-				});
+			model = getDiscriminatorModel(model, values);
+
+			beautify(
+				error,
+				model,
+				values,
+				getModelMessages(model),
+				options,
+				getLocale(this, options),
+				getSession(this),
+			).then(next, function (beautifyError) {
+				next(recover(beautifyError, error, options));
+			});
 		} else {
 			// Pass over other errors
 			next(error);
 		}
 	};
 
-	schema.post('save', postHook);
-	schema.post('updateOne', postHook);
-    	schema.post('updateMany', postHook);
-	schema.post('findOneAndUpdate', postHook);
+	WRITE_HOOKS.forEach(function (hook) {
+		schema.post(hook, postHook);
+	});
+
+	// Bulk operations report one write error per failed document
+	schema.post('insertMany', function (error, _, next) {
+		if (!isUniqueBulkError(error)) {
+			return next(error);
+		}
+
+		beautifyBulk(
+			error,
+			'insertMany',
+			this,
+			options,
+			getLocale(this, options),
+		).then(next, function (beautifyError) {
+			next(recover(beautifyError, error, options));
+		});
+	});
+
+	// Discriminator schemas do not inherit the listeners of the base
+	// schema, so their options are collected as soon as they are created
+	let discriminator =
+		schema.statics.discriminator || mongoose.Model.discriminator;
+
+	schema.static('discriminator', function () {
+		let model = discriminator.apply(this, arguments);
+
+		MESSAGES_CACHE.set(model.schema, collectSchemaMessages(model.schema));
+		normalizeSchemaIndexes(model.schema);
+		return model;
+	});
+
+	// Mongoose does not provide middleware for bulkWrite(), which
+	// is also used by bulkSave(), so the static itself is wrapped
+	let bulkWrite = schema.statics.bulkWrite || mongoose.Model.bulkWrite;
+	let bulkSave = schema.statics.bulkSave || mongoose.Model.bulkSave;
+
+	schema.static('bulkWrite', function (ops, bulkOptions) {
+		let model = this;
+		let args = Array.prototype.slice.call(arguments);
+		let callback = args[args.length - 1];
+		let locale =
+			(bulkOptions && bulkOptions.locale) || getLocale(model, options);
+
+		let report = function (error) {
+			if (!isUniqueBulkError(error)) {
+				return global.Promise.resolve(error);
+			}
+
+			return beautifyBulk(
+				error,
+				'bulkWrite',
+				model,
+				options,
+				locale,
+				(bulkOptions && bulkOptions.session) || null,
+			).catch(function (beautifyError) {
+				return recover(beautifyError, error, options);
+			});
+		};
+
+		if (typeof callback === 'function') {
+			// Mongoose 6 accepts a callback, in which case it
+			// does not return a promise
+			args[args.length - 1] = function (error, result) {
+				if (!error) {
+					return callback(error, result);
+				}
+
+				// Call back outside of the promise chain, so that errors
+				// thrown by the callback are not swallowed as rejections
+				report(error).then(function (reported) {
+					process.nextTick(callback, reported, result);
+				});
+			};
+
+			return bulkWrite.apply(this, args);
+		}
+
+		return bulkWrite.apply(this, args).catch(function (error) {
+			return report(error).then(function (reported) {
+				throw reported;
+			});
+		});
+	});
+
+	if (bulkSave) {
+		schema.static('bulkSave', function () {
+			return bulkSave.apply(this, arguments).catch(function (error) {
+				// Errors are beautified by the bulkWrite() wrapper
+				if (
+					error instanceof UniqueBulkWriteError &&
+					error.operation === 'bulkWrite'
+				) {
+					throw new UniqueBulkWriteError(
+						error.cause,
+						'bulkSave',
+						error.validationErrors,
+						error.results,
+					);
+				}
+
+				throw error;
+			});
+		});
+	}
 };
 
+module.exports.UniqueValidationError = UniqueValidationError;
+module.exports.UniqueBulkWriteError = UniqueBulkWriteError;
+
 /**
  * @param {object} obj
  * @param {string} key
@@ -260,4 +3087,4 @@ module.exports = function (schema, options) {
  */
 function has(obj, key) {
 	return Object.prototype.hasOwnProperty.call(obj, key);
-}
\ No newline at end of file
+}
@@ -880,7 +880,9 @@ test('should report duplicates on any mongoose type', function (t) {
 							date: date,
 							blob: new Buffer('abc'),
 							isVerified: false,
-							list: [1, 2, 3],
+
+							// Arrays report the element that collided
+							list: 1,
 						},
 						{
 							name: 'Path `name` (test) is not unique.',
@@ -889,7 +891,7 @@ test('should report duplicates on any mongoose type', function (t) {
 							date: 'Path `date` (' + date.toString() + ') is not unique.',
 							blob: 'Path `blob` (abc) is not unique.',
 							isVerified: 'Path `isVerified` (false) is not unique.',
-							list: 'Path `list` (1,2,3) is not unique.',
+							list: 'Path `list` (1) is not unique.',
 						},
 					);
 
@@ -897,4 +899,156 @@ test('should report duplicates on any mongoose type', function (t) {
 				},
 			);
 	});
+});
+
+test('should report every conflicting index before saving', function (t) {
+	let PrecheckSchema = new Schema({
+		email: {
+			type: String,
+			unique: true,
+		},
+		username: {
+			type: String,
+		},
+	});
+
+	PrecheckSchema.index(
+		{ username: 1 },
+		{ unique: true, collation: { locale: 'en', strength: 2 } },
+	);
+
+	PrecheckSchema.plugin(beautifulValidation, { precheck: true });
+
+	let Precheck = mongoose.model('Precheck', PrecheckSchema);
+	let session;
+
+	Precheck.on('index', function (indexErr) {
+		t.error(indexErr, 'indexes should be built correctly');
+
+		new Precheck({
+			email: 'john@example.com',
+			username: 'John',
+		})
+			.save()
+			.then(function () {
+				return mongoose.startSession();
+			})
+			.then(function (started) {
+				session = started;
+
+				let doc = new Precheck({
+					email: 'john@example.com',
+					username: 'JOHN',
+				});
+
+				// The lookups should run in the session of the document
+				doc.$session(session);
+				return doc.save();
+			})
+			.then(
+				function () {
+					t.fail('should not save the duplicate document successfully');
+				},
+				function (err) {
+					assertUniqueError(
+						t,
+						err,
+						{ email: 'john@example.com', username: 'JOHN' },
+						{
+							email: 'Path `email` (john@example.com) is not unique.',
+							username: 'Path `username` (JOHN) is not unique.',
+						},
+					);
+
+					t.equal(
+						err.errors.username.properties.existingValue,
+						'John',
+						'should use the collation of the index',
+					);
+				},
+			)
+			.catch(function (err) {
+				t.error(err, 'should check the document successfully');
+			})
+			.then(function () {
+				return session && session.endSession();
+			})
+			.then(function () {
+				t.end();
+			});
+	});
+});
+
+test('should check candidate values with Model.checkUnique()', function (t) {
+	let CheckUniqueSchema = new Schema({
+		items: [
+			{
+				sku: {
+					type: String,
+					unique: true,
+				},
+			},
+		],
+		code: {
+			type: String,
+		},
+		active: {
+			type: Boolean,
+		},
+	});
+
+	CheckUniqueSchema.index(
+		{ code: 1 },
+		{ unique: true, partialFilterExpression: { active: true } },
+	);
+
+	let CheckUnique = mongoose.model('CheckUnique', CheckUniqueSchema);
+	let existing;
+
+	CheckUnique.on('index', function (indexErr) {
+		t.error(indexErr, 'indexes should be built correctly');
+
+		CheckUnique.create([
+			{ items: [{ sku: 'a' }], code: 'X', active: true },
+			{ code: 'Y', active: false },
+		])
+			.then(function (docs) {
+				existing = docs[0];
+
+				return CheckUnique.checkUnique({
+					items: [{ sku: 'b' }, { sku: 'a' }],
+					code: 'X',
+					active: true,
+				});
+			})
+			.then(function (err) {
+				assertUniqueError(
+					t,
+					err,
+					{ 'items.1.sku': 'a', code: 'X' },
+					{
+						'items.1.sku': 'Path `items.1.sku` (a) is not unique.',
+						code: 'Path `code` (X) is not unique.',
+					},
+				);
+
+				return CheckUnique.checkUnique({ code: 'Y', active: true });
+			})
+			.then(function (err) {
+				t.equal(err, null, 'should only look inside partial indexes');
+
+				return CheckUnique.checkUnique(
+					{ $set: { code: 'X', active: true } },
+					{ excludeId: existing._id },
+				);
+			})
+			.then(function (err) {
+				t.equal(err, null, 'should exclude the given document');
+				t.end();
+			})
+			.catch(function (err) {
+				t.error(err, 'should check the values successfully');
+				t.end();
+			});
+	});
 });
\ No newline at end of file
@@ -0,0 +1,3618 @@
+'use strict';
+
+const test = require('tape');
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const beautifulValidation = require('../');
+
+// Models in this file are bound to a connection that is never opened:
+// the collection methods that would reach the server are replaced with
+// stubs, so that the plugin can be exercised with synthetic driver errors
+// without needing a running MongoDB instance
+const connection = mongoose.createConnection();
+
+/**
+ * Create a model on the offline connection with the plugin enabled.
+ *
+ * @param {string} name Name of the model.
+ * @param {Object} definition Schema definition.
+ * @param {Object} [options] Plugin options.
+ * @param {function} [setup] Called with the schema before the plugin
+ * is applied, to declare additional indexes.
+ * @return {mongoose.Model} Compiled model.
+ */
+function createModel(name, definition, options, setup) {
+	let schema = new Schema(definition, {
+		autoCreate: false,
+		autoIndex: false,
+		bufferCommands: false,
+	});
+
+	if (setup) {
+		setup(schema);
+	}
+
+	schema.plugin(beautifulValidation, options);
+	return connection.model(name, schema);
+}
+
+/**
+ * Create a synthetic duplicate key error, as raised by the driver.
+ *
+ * @param {Object} props Properties to set on the error.
+ * @return {mongoose.mongo.MongoServerError} Duplicate key error.
+ */
+function duplicateError(props) {
+	return new mongoose.mongo.MongoServerError(
+		Object.assign({ code: 11000 }, props),
+	);
+}
+
+/**
+ * Create a synthetic bulk write error, as raised by the driver.
+ *
+ * @param {Array<Object>} writeErrors Description of each failed write.
+ * @return {mongoose.mongo.MongoBulkWriteError} Bulk write error.
+ */
+function bulkError(writeErrors) {
+	return new mongoose.mongo.MongoBulkWriteError(
+		{
+			message: 'E11000 duplicate key error',
+			code: 11000,
+			writeErrors: writeErrors.map(function (err) {
+				return { index: err.index, err: Object.assign({ code: 11000 }, err) };
+			}),
+		},
+		{ insertedCount: 0 },
+	);
+}
+
+/**
+ * Make the given collection methods fail with an error.
+ *
+ * @param {mongoose.Model} Model Model whose collection to stub.
+ * @param {Array<string>} methods Names of the methods to stub.
+ * @param {Error} err Error to fail with.
+ */
+function failWith(Model, methods, err) {
+	methods.forEach(function (method) {
+		Model.collection[method] = function () {
+			let callback = arguments[arguments.length - 1];
+
+			if (typeof callback === 'function') {
+				return callback(err);
+			}
+
+			return global.Promise.reject(err);
+		};
+	});
+}
+
+test('should read duplicated fields from keyPattern', function (t) {
+	let KeyPattern = createModel('KeyPattern', {
+		email: { type: String, unique: 'Email {VALUE} is taken' },
+	});
+
+	failWith(
+		KeyPattern,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error (message format changed)',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	KeyPattern.collection.indexInformation = function () {
+		t.fail('should not query the indexes when keyPattern is available');
+		return global.Promise.resolve([]);
+	};
+
+	new KeyPattern({ email: 'john@example.com' }).save().then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.deepEqual(Object.keys(err.errors), ['email']);
+			t.equal(err.errors.email.kind, 'unique');
+			t.equal(err.errors.email.value, 'john@example.com');
+			t.equal(err.errors.email.message, 'Email john@example.com is taken');
+			t.end();
+		},
+	);
+});
+
+test('should read duplicated fields from write errors', function (t) {
+	let WriteErrors = createModel(
+		'WriteErrors',
+		{
+			tenant: String,
+			slug: String,
+		},
+		{},
+		function (schema) {
+			schema.index({ tenant: 1, slug: 1 }, { unique: true });
+		},
+	);
+
+	let err = duplicateError({
+		message: 'E11000 duplicate key error',
+		writeErrors: [
+			{
+				index: 0,
+				code: 11000,
+				errmsg: 'E11000 duplicate key error',
+				errInfo: {
+					keyPattern: { tenant: 1, slug: 1 },
+					keyValue: { tenant: 'acme', slug: 'home' },
+				},
+			},
+		],
+	});
+
+	failWith(WriteErrors, ['insertOne'], err);
+
+	new WriteErrors({ tenant: 'acme', slug: 'home' }).save().then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.deepEqual(Object.keys(err.errors).sort(), ['slug', 'tenant']);
+			t.equal(err.errors.tenant.value, 'acme');
+			t.equal(err.errors.slug.value, 'home');
+			t.end();
+		},
+	);
+});
+
+test('should fall back to keyValue for missing values', function (t) {
+	let KeyValue = createModel('KeyValue', {
+		name: { type: String, unique: true },
+	});
+
+	failWith(
+		KeyValue,
+		['findOneAndUpdate'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { name: 1 },
+			keyValue: { name: 'John' },
+		}),
+	);
+
+	KeyValue.findOneAndUpdate({}, { $min: { name: 'John' } })
+		.exec()
+		.then(
+			function () {
+				t.fail('should not update the duplicate document successfully');
+				t.end();
+			},
+			function (err) {
+				t.equal(err.name, 'ValidationError');
+				t.equal(err.errors.name.value, 'John');
+				t.equal(err.errors.name.message, 'Path `name` (John) is not unique.');
+				t.end();
+			},
+		);
+});
+
+test('should parse the message when keyPattern is missing', function (t) {
+	let Legacy = createModel('Legacy', {
+		address: { type: String, unique: true },
+	});
+
+	failWith(
+		Legacy,
+		['insertOne'],
+		duplicateError({
+			message:
+				'insertDocument :: caused by :: 11000 E11000 duplicate key ' +
+				'error index: test.legacies.$address_1 dup key: { : "123" }',
+		}),
+	);
+
+	Legacy.collection.indexInformation = function () {
+		return global.Promise.resolve([
+			{ name: '_id_', key: { _id: 1 } },
+			{ name: 'address_1', key: { address: 1 }, unique: true },
+		]);
+	};
+
+	new Legacy({ address: '123' }).save().then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.deepEqual(Object.keys(err.errors), ['address']);
+			t.equal(err.errors.address.value, '123');
+			t.end();
+		},
+	);
+});
+
+test('should report duplicates per document with insertMany()', function (t) {
+	let InsertMany = createModel('InsertMany', {
+		email: { type: String, unique: 'Email {VALUE} is taken' },
+	});
+
+	failWith(
+		InsertMany,
+		['insertMany'],
+		bulkError([
+			{
+				index: 1,
+				op: { email: 'b@example.com' },
+				keyPattern: { email: 1 },
+				keyValue: { email: 'b@example.com' },
+			},
+		]),
+	);
+
+	InsertMany.insertMany(
+		[
+			{ email: 'a@example.com' },
+			{ email: 'b@example.com' },
+			{ email: 'c@example.com' },
+		],
+		{ ordered: false },
+	).then(
+		function () {
+			t.fail('should not insert the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'UniqueBulkWriteError');
+			t.ok(err instanceof beautifulValidation.UniqueBulkWriteError);
+			t.equal(err.operation, 'insertMany');
+			t.equal(err.validationErrors.length, 1);
+			t.equal(err.results[1], err.validationErrors[0]);
+			t.equal(err.results[1].name, 'ValidationError');
+			t.equal(
+				err.results[1].errors.email.message,
+				'Email b@example.com is taken',
+			);
+			t.equal(err.results[0].email, 'a@example.com');
+			t.equal(err.results[2].email, 'c@example.com');
+			t.deepEqual(
+				err.insertedDocs.map(function (doc) {
+					return doc.email;
+				}),
+				['a@example.com', 'c@example.com'],
+			);
+			t.end();
+		},
+	);
+});
+
+test('should report duplicates per operation with bulkWrite()', function (t) {
+	let BulkWrite = createModel('BulkWrite', {
+		name: { type: String, unique: true },
+	});
+
+	failWith(
+		BulkWrite,
+		['bulkWrite'],
+		bulkError([
+			{
+				index: 1,
+				op: { q: { name: 'John' }, u: { $set: { name: 'Jane' } } },
+				keyPattern: { name: 1 },
+				keyValue: { name: 'Jane' },
+			},
+		]),
+	);
+
+	BulkWrite.bulkWrite([
+		{ insertOne: { document: { name: 'Bob' } } },
+		{
+			updateOne: {
+				filter: { name: 'John' },
+				update: { $set: { name: 'Jane' } },
+			},
+		},
+	]).then(
+		function () {
+			t.fail('should not write the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'UniqueBulkWriteError');
+			t.equal(err.operation, 'bulkWrite');
+			t.equal(err.validationErrors.length, 1);
+			t.equal(err.results[1], err.validationErrors[0]);
+			t.equal(
+				err.results[1].errors.name.message,
+				'Path `name` (Jane) is not unique.',
+			);
+			t.equal(err.writeErrors.length, 1, 'should keep the write errors');
+			t.end();
+		},
+	);
+});
+
+test('should report duplicates per document with bulkSave()', function (t) {
+	let BulkSave = createModel('BulkSave', {
+		name: { type: String, unique: true },
+	});
+
+	let docs = [new BulkSave({ name: 'Bob' }), new BulkSave({ name: 'John' })];
+
+	failWith(
+		BulkSave,
+		['bulkWrite'],
+		bulkError([
+			{
+				index: 1,
+				op: { _id: docs[1]._id, name: 'John' },
+				keyPattern: { name: 1 },
+				keyValue: { name: 'John' },
+			},
+		]),
+	);
+
+	BulkSave.bulkSave(docs).then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'UniqueBulkWriteError');
+			t.equal(err.operation, 'bulkSave');
+			t.equal(err.message, 'bulkSave failed with 1 unique validation errors');
+			t.equal(
+				err.results[1].errors.name.message,
+				'Path `name` (John) is not unique.',
+			);
+			t.equal(err.writeErrors.length, 1, 'should keep the write errors');
+			t.end();
+		},
+	);
+});
+
+test('should beautify bulkWrite() errors passed to callbacks', function (t) {
+	let original = bulkError([
+		{
+			index: 0,
+			op: { name: 'John' },
+			keyPattern: { name: 1 },
+			keyValue: { name: 'John' },
+		},
+	]);
+
+	let BulkCallback = createModel(
+		'BulkCallback',
+		{ name: { type: String, unique: true } },
+		{},
+		function (schema) {
+			// Mongoose 6 returns nothing when given a callback
+			schema.static('bulkWrite', function (ops, callback) {
+				setImmediate(callback, original);
+			});
+		},
+	);
+
+	let returned = BulkCallback.bulkWrite(
+		[{ insertOne: { document: { name: 'John' } } }],
+		function (err) {
+			t.equal(returned, undefined);
+			t.equal(err.name, 'UniqueBulkWriteError');
+			t.equal(
+				err.results[0].errors.name.message,
+				'Path `name` (John) is not unique.',
+			);
+			t.end();
+		},
+	);
+});
+
+test('should rethrow errors thrown by bulkWrite() callbacks', function (t) {
+	let original = bulkError([
+		{
+			index: 0,
+			op: { name: 'John' },
+			keyPattern: { name: 1 },
+			keyValue: { name: 'John' },
+		},
+	]);
+
+	let BulkThrow = createModel(
+		'BulkThrow',
+		{ name: { type: String, unique: true } },
+		{},
+		function (schema) {
+			schema.static('bulkWrite', function (ops, callback) {
+				setImmediate(callback, original);
+			});
+		},
+	);
+
+	let thrown = new Error('thrown by the callback');
+	let onRejection = function () {
+		t.fail('should not reject a promise');
+	};
+
+	process.on('unhandledRejection', onRejection);
+	process.once('uncaughtException', function (err) {
+		process.removeListener('unhandledRejection', onRejection);
+		t.equal(err, thrown);
+		t.end();
+	});
+
+	BulkThrow.bulkWrite(
+		[{ insertOne: { document: { name: 'John' } } }],
+		function () {
+			throw thrown;
+		},
+	);
+});
+
+test('should pass over bulk errors without duplicates', function (t) {
+	let BulkOther = createModel('BulkOther', {
+		name: { type: String, unique: true },
+	});
+
+	let original = bulkError([{ index: 0, code: 121, op: { name: 'John' } }]);
+
+	failWith(BulkOther, ['insertMany'], original);
+
+	BulkOther.insertMany([{ name: 'John' }]).then(
+		function () {
+			t.fail('should not insert the document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err, original);
+			t.end();
+		},
+	);
+});
+
+test('should report every conflicting index before saving', function (t) {
+	let Precheck = createModel(
+		'Precheck',
+		{
+			email: { type: String, unique: 'Email {VALUE} is taken' },
+			username: { type: String, unique: true },
+			nickname: { type: String, unique: true },
+			age: { type: Number, required: true },
+		},
+		{ precheck: true },
+	);
+
+	let filters = [];
+
+	Precheck.collection.findOne = function (filter) {
+		filters.push(filter);
+
+		let taken =
+			filter.email === 'john@example.com' || filter.username === 'john';
+
+		return global.Promise.resolve(taken ? { _id: 'existing' } : null);
+	};
+
+	Precheck.collection.insertOne = function () {
+		t.fail('should not try to insert the document');
+		return global.Promise.resolve({});
+	};
+
+	let doc = new Precheck({
+		email: 'john@example.com',
+		username: 'john',
+		nickname: 'johnny',
+	});
+
+	doc.save().then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.deepEqual(Object.keys(err.errors).sort(), ['age', 'email', 'username']);
+			t.equal(err.errors.email.kind, 'unique');
+			t.equal(err.errors.email.message, 'Email john@example.com is taken');
+			t.equal(err.errors.username.kind, 'unique');
+			t.equal(err.errors.username.value, 'john');
+			t.equal(err.errors.age.kind, 'required');
+			t.equal(filters.length, 3, 'should check each unique index');
+			t.ok(
+				filters.every(function (filter) {
+					return filter._id.$ne === doc._id;
+				}),
+				'should exclude the document itself',
+			);
+			t.end();
+		},
+	);
+});
+
+test('should only check modified unique paths before saving', function (t) {
+	let PrecheckModified = createModel(
+		'PrecheckModified',
+		{
+			email: { type: String, unique: true },
+			username: { type: String, unique: true },
+		},
+		{ precheck: true },
+	);
+
+	let filters = [];
+
+	PrecheckModified.collection.findOne = function (filter) {
+		filters.push(filter);
+		return global.Promise.resolve(null);
+	};
+
+	let doc = PrecheckModified.hydrate({
+		_id: new mongoose.Types.ObjectId(),
+		email: 'john@example.com',
+		username: 'john',
+	});
+
+	doc.username = 'johnny';
+
+	doc.validate().then(
+		function () {
+			t.equal(filters.length, 1, 'should only check the modified index');
+			t.equal(filters[0].username, 'johnny');
+			t.end();
+		},
+		function (err) {
+			t.error(err, 'should validate the document successfully');
+			t.end();
+		},
+	);
+});
+
+test('should check values inside arrays before saving', function (t) {
+	let PrecheckArrays = createModel(
+		'PrecheckArrays',
+		{
+			items: [{ sku: { type: String, unique: 'SKU {VALUE} is taken' } }],
+			tags: { type: [String], unique: true },
+		},
+		{ precheck: true },
+	);
+
+	let filters = [];
+
+	PrecheckArrays.collection.findOne = function (filter) {
+		filters.push(filter);
+
+		if (filter['items.sku'] && filter['items.sku'].$in.indexOf('b') !== -1) {
+			return global.Promise.resolve({
+				_id: 'existing',
+				items: [{ sku: 'z' }, { sku: 'b' }],
+			});
+		}
+
+		if (filter.tags && filter.tags.$in.indexOf('y') !== -1) {
+			return global.Promise.resolve({ _id: 'other', tags: ['y'] });
+		}
+
+		return global.Promise.resolve(null);
+	};
+
+	let doc = new PrecheckArrays({
+		items: [{ sku: 'a' }, { sku: 'b' }],
+		tags: ['x', 'y'],
+	});
+
+	doc
+		.validate()
+		.then(
+			function () {
+				throw new Error('should not validate the duplicate document');
+			},
+			function (err) {
+				t.deepEqual(filters[0]['items.sku'], { $in: ['a', 'b'] });
+				t.deepEqual(
+					Object.keys(err.errors).sort(),
+					['items.1.sku', 'tags'],
+					'should report the colliding elements',
+				);
+				t.equal(err.errors['items.1.sku'].message, 'SKU b is taken');
+				t.equal(err.errors['items.1.sku'].properties.existingValue, 'b');
+				t.equal(err.errors.tags.value, 'y');
+
+				filters = [];
+
+				let existing = PrecheckArrays.hydrate({
+					_id: new mongoose.Types.ObjectId(),
+					items: [{ sku: 'a' }, { sku: 'c' }],
+					tags: ['x'],
+				});
+
+				existing.items[1].sku = 'b';
+
+				return existing.validate().then(
+					function () {
+						throw new Error('should not validate the duplicate document');
+					},
+					function (err) {
+						t.equal(filters.length, 1, 'should check modified elements');
+						t.deepEqual(Object.keys(err.errors), ['items.1.sku']);
+						t.end();
+					},
+				);
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should check raw values before saving', function (t) {
+	let PrecheckGetters = createModel(
+		'PrecheckGetters',
+		{
+			phone: {
+				type: String,
+				unique: true,
+				get: function (phone) {
+					return phone && '*****' + phone.slice(-2);
+				},
+			},
+		},
+		{ precheck: true },
+	);
+
+	let filters = [];
+
+	PrecheckGetters.collection.findOne = function (filter) {
+		filters.push(filter);
+		return global.Promise.resolve(
+			filter.phone === '0612345634' ? { _id: 'existing' } : null,
+		);
+	};
+
+	new PrecheckGetters({ phone: '0612345634' }).validate().then(
+		function () {
+			t.fail('should not validate the duplicate document');
+			t.end();
+		},
+		function (err) {
+			t.equal(filters[0].phone, '0612345634', 'should not apply getters');
+			t.equal(err.errors.phone.kind, 'unique');
+			t.equal(err.errors.phone.value, '0612345634');
+			t.end();
+		},
+	);
+});
+
+test('should check candidate values with Model.checkUnique()', function (t) {
+	let CheckUnique = createModel(
+		'CheckUnique',
+		{
+			username: { type: String, unique: 'Username {VALUE} is taken' },
+			tenant: String,
+			slug: String,
+		},
+		{},
+		function (schema) {
+			schema.index({ tenant: 1, slug: 1 }, { unique: true });
+		},
+	);
+
+	let id = new mongoose.Types.ObjectId();
+	let filters = [];
+
+	CheckUnique.collection.findOne = function (filter) {
+		filters.push(filter);
+		return global.Promise.resolve(
+			filter.username === 'john' ? { _id: 'existing' } : null,
+		);
+	};
+
+	CheckUnique.collection.insertOne = function () {
+		t.fail('should not write anything');
+		return global.Promise.resolve({});
+	};
+
+	CheckUnique.checkUnique(
+		{ $set: { username: 'john', slug: 'home' } },
+		{ excludeId: id.toString() },
+	)
+		.then(function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.deepEqual(Object.keys(err.errors), ['username']);
+			t.equal(err.errors.username.kind, 'unique');
+			t.equal(err.errors.username.message, 'Username john is taken');
+			t.equal(filters.length, 1, 'should skip incomplete compound indexes');
+			t.ok(filters[0]._id.$ne.equals(id), 'should exclude the given id');
+
+			return CheckUnique.checkUnique({ username: 'jane' });
+		})
+		.then(function (err) {
+			t.equal(err, null, 'should resolve with null without conflicts');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err, 'should check the values successfully');
+			t.end();
+		});
+});
+
+test('should check values inside arrays with Model.checkUnique()', function (t) {
+	let CheckArrays = createModel('CheckArrays', {
+		items: [{ sku: { type: String, unique: 'SKU {VALUE} is taken' } }],
+		tags: { type: [String], unique: true },
+	});
+
+	let filters = [];
+
+	CheckArrays.collection.findOne = function (filter) {
+		filters.push(filter);
+
+		let skus = filter['items.sku'];
+		let tags = filter.tags;
+
+		if (skus && (skus === 'b' || (skus.$in && skus.$in.indexOf('b') !== -1))) {
+			return global.Promise.resolve({ _id: 'existing', items: [{ sku: 'b' }] });
+		}
+
+		if (tags && tags.$in && tags.$in.indexOf('y') !== -1) {
+			return global.Promise.resolve({ _id: 'other', tags: ['y'] });
+		}
+
+		return global.Promise.resolve(null);
+	};
+
+	CheckArrays.checkUnique({ items: [{ sku: 'a' }, { sku: 'b' }] })
+		.then(function (err) {
+			t.deepEqual(filters[0]['items.sku'], { $in: ['a', 'b'] });
+			t.deepEqual(Object.keys(err.errors), ['items.1.sku']);
+			t.equal(err.errors['items.1.sku'].message, 'SKU b is taken');
+
+			return CheckArrays.checkUnique({
+				$push: { tags: { $each: ['x', 'y'] } },
+			});
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['tags']);
+			t.equal(err.errors.tags.value, 'y', 'should report the pushed element');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+/**
+ * Save a document that fails with a legacy duplicate error message,
+ * which requires looking up the failing index's fields.
+ *
+ * @param {mongoose.Model} Model Model to save a document of.
+ * @param {string} indexName Name of the failing index.
+ * @param {Object} values Values of the document.
+ * @return {Promise<Error>} Resolved with the reported error.
+ */
+function saveLegacyDuplicate(Model, indexName, values) {
+	failWith(
+		Model,
+		['insertOne'],
+		duplicateError({
+			message:
+				'E11000 duplicate key error collection: test.' +
+				Model.collection.name +
+				' index: ' +
+				indexName +
+				' dup key: { }',
+		}),
+	);
+
+	return new Model(values).save().then(
+		function () {
+			throw new Error('should not save the duplicate document successfully');
+		},
+		function (err) {
+			return err;
+		},
+	);
+}
+
+test('should cache indexes separately for each connection', function (t) {
+	let otherConnection = mongoose.createConnection();
+	let schema = new Schema(
+		{ name: String, email: String },
+		{ autoCreate: false, autoIndex: false, bufferCommands: false },
+	);
+
+	schema.plugin(beautifulValidation);
+
+	let First = connection.model('CacheScope', schema);
+	let Second = otherConnection.model('CacheScope', schema.clone());
+
+	First.collection.indexInformation = function () {
+		return global.Promise.resolve([
+			{ name: 'unique_1', key: { name: 1 }, unique: true },
+		]);
+	};
+
+	Second.collection.indexInformation = function () {
+		return global.Promise.resolve([
+			{ name: 'unique_1', key: { email: 1 }, unique: true },
+		]);
+	};
+
+	saveLegacyDuplicate(First, 'unique_1', { name: 'John' })
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['name']);
+			return saveLegacyDuplicate(Second, 'unique_1', { email: 'a@b.c' });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['email']);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should warm up and invalidate the index cache', function (t) {
+	let CacheSync = createModel('CacheSync', { name: String, email: String });
+	let calls = 0;
+	let indexes = [{ name: 'unique_1', key: { name: 1 }, unique: true }];
+
+	CacheSync.collection.indexInformation = function () {
+		++calls;
+		return global.Promise.resolve(indexes);
+	};
+
+	CacheSync.emit('index');
+	t.equal(calls, 1, 'should fetch indexes once they are built');
+
+	saveLegacyDuplicate(CacheSync, 'unique_1', { name: 'John' })
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['name']);
+			t.equal(calls, 1, 'should use the cached indexes');
+
+			// The offline connection refuses to drop the index, but
+			// the cache is invalidated before the call is made
+			indexes = [{ name: 'unique_1', key: { email: 1 }, unique: true }];
+
+			try {
+				CacheSync.collection.dropIndex('unique_1');
+			} catch (err) {
+				// Expected
+			}
+
+			return saveLegacyDuplicate(CacheSync, 'unique_1', { email: 'a@b.c' });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['email']);
+			t.equal(calls, 2, 'should fetch indexes after they change');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should refresh cached indexes after the TTL', function (t) {
+	let CacheTTL = createModel(
+		'CacheTTL',
+		{ name: String },
+		{ indexCacheTTL: 1 },
+	);
+
+	let calls = 0;
+
+	CacheTTL.collection.indexInformation = function () {
+		++calls;
+		return global.Promise.resolve([
+			{ name: 'unique_1', key: { name: 1 }, unique: true },
+		]);
+	};
+
+	saveLegacyDuplicate(CacheTTL, 'unique_1', { name: 'John' })
+		.then(function () {
+			return new global.Promise(function (resolve) {
+				setTimeout(resolve, 10);
+			});
+		})
+		.then(function () {
+			return saveLegacyDuplicate(CacheTTL, 'unique_1', { name: 'John' });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['name']);
+			t.equal(calls, 2, 'should fetch indexes again once expired');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should resolve indexes from the schema', function (t) {
+	let SchemaIndexes = createModel(
+		'SchemaIndexes',
+		{
+			email: { type: String, unique: true },
+			tenant: String,
+			slug: String,
+			code: String,
+		},
+		{ indexSource: 'schema' },
+		function (schema) {
+			schema.index({ tenant: 1, slug: -1 }, { unique: true });
+			schema.index({ code: 1 }, { unique: true, name: 'unique_code' });
+		},
+	);
+
+	SchemaIndexes.collection.indexInformation = function () {
+		t.fail('should not query the indexes');
+		return global.Promise.reject(new Error('Server unavailable'));
+	};
+
+	SchemaIndexes.emit('index');
+
+	saveLegacyDuplicate(SchemaIndexes, 'email_1', { email: 'a@b.c' })
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['email']);
+
+			return saveLegacyDuplicate(SchemaIndexes, 'tenant_1_slug_-1', {
+				tenant: 'acme',
+				slug: 'home',
+			});
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['tenant', 'slug']);
+			return saveLegacyDuplicate(SchemaIndexes, 'unique_code', { code: 'A' });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['code']);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should query indexes missing from the schema', function (t) {
+	let SchemaFallback = createModel(
+		'SchemaFallback',
+		{ name: String },
+		{ indexSource: 'schema' },
+	);
+
+	SchemaFallback.collection.indexInformation = function () {
+		return global.Promise.resolve([
+			{ name: 'migrated_name', key: { name: 1 }, unique: true },
+		]);
+	};
+
+	saveLegacyDuplicate(SchemaFallback, 'migrated_name', { name: 'John' })
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['name']);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report the original error if beautifying fails', function (t) {
+	let BeautifyFailure = createModel('BeautifyFailure', { name: String });
+	let failure = new Error('indexInformation failed');
+
+	BeautifyFailure.collection.indexInformation = function () {
+		return global.Promise.reject(failure);
+	};
+
+	saveLegacyDuplicate(BeautifyFailure, 'name_1', { name: 'John' })
+		.then(function (err) {
+			t.equal(err.name, 'MongoServerError');
+			t.equal(err.code, 11000);
+			t.equal(err.cause, failure, 'should attach the failure as cause');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should let onError substitute the reported error', function (t) {
+	let substitute = new Error('Substitute');
+	let failure = new Error('indexInformation failed');
+	let calls = [];
+
+	let OnError = createModel(
+		'OnError',
+		{ name: String },
+		{
+			onError: function (beautifyError, originalError) {
+				calls.push([beautifyError, originalError]);
+				return substitute;
+			},
+		},
+	);
+
+	OnError.collection.indexInformation = function () {
+		return global.Promise.reject(failure);
+	};
+
+	saveLegacyDuplicate(OnError, 'name_1', { name: 'John' })
+		.then(function (err) {
+			t.equal(err, substitute);
+			t.equal(calls.length, 1);
+			t.equal(calls[0][0], failure);
+			t.equal(calls[0][1].code, 11000);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+/**
+ * Run an update that fails with a duplicate error on the given index,
+ * without reporting the duplicated values unless they are given.
+ *
+ * @param {mongoose.Model} Model Model to update documents of.
+ * @param {Object} keyPattern Fields of the failing index.
+ * @param {function} run Called to run the update.
+ * @param {Object} [keyValue] Duplicated values to report.
+ * @return {Promise<Error>} Resolved with the reported error.
+ */
+function failUpdate(Model, keyPattern, run, keyValue) {
+	failWith(
+		Model,
+		['updateOne', 'updateMany', 'findOneAndUpdate'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: keyPattern,
+			keyValue: keyValue,
+		}),
+	);
+
+	return run().then(
+		function () {
+			throw new Error('should not update the document successfully');
+		},
+		function (err) {
+			return err;
+		},
+	);
+}
+
+test('should extract values from update operators', function (t) {
+	let Operators = createModel('Operators', {
+		name: String,
+		age: Number,
+		other: String,
+		email: { type: String, unique: true },
+		tags: { type: [String], unique: true },
+		profile: { handle: { type: String, unique: true } },
+		items: [{ sku: String }],
+	});
+
+	failUpdate(Operators, { email: 1 }, function () {
+		return Operators.updateOne(
+			{ age: { $gt: 18 } },
+			{ $setOnInsert: { email: 'john@example.com' } },
+			{ upsert: true },
+		).exec();
+	})
+		.then(function (err) {
+			t.equal(err.errors.email.value, 'john@example.com', '$setOnInsert');
+
+			return failUpdate(Operators, { email: 1 }, function () {
+				return Operators.updateOne(
+					{ email: { $eq: 'jane@example.com' } },
+					{ $set: { name: 'Jane' } },
+					{ upsert: true },
+				).exec();
+			});
+		})
+		.then(function (err) {
+			t.equal(err.errors.email.value, 'jane@example.com', 'query filter');
+
+			return failUpdate(Operators, { tags: 1 }, function () {
+				return Operators.updateOne({}, { $push: { tags: 'a' } }).exec();
+			});
+		})
+		.then(function (err) {
+			t.equal(err.errors.tags.value, 'a', '$push');
+
+			return failUpdate(Operators, { tags: 1 }, function () {
+				return Operators.updateOne(
+					{},
+					{ $addToSet: { tags: { $each: ['b', 'c'] } } },
+				).exec();
+			});
+		})
+		.then(function (err) {
+			t.deepEqual(err.errors.tags.value, ['b', 'c'], '$addToSet');
+
+			return failUpdate(
+				Operators,
+				{ tags: 1 },
+				function () {
+					return Operators.updateOne(
+						{},
+						{ $push: { tags: { $each: ['a', 'b'] } } },
+					).exec();
+				},
+				{ tags: 'b' },
+			);
+		})
+		.then(function (err) {
+			t.equal(err.errors.tags.value, 'b', '$push with $each');
+			t.equal(err.errors.tags.message, 'Path `tags` (b) is not unique.');
+
+			return failUpdate(Operators, { 'profile.handle': 1 }, function () {
+				return Operators.updateOne(
+					{},
+					{ $set: { 'profile.handle': 'johnny' } },
+				).exec();
+			});
+		})
+		.then(function (err) {
+			t.equal(err.errors['profile.handle'].value, 'johnny', 'dotted path');
+
+			return failUpdate(Operators, { 'items.sku': 1 }, function () {
+				return Operators.updateOne(
+					{ 'items.sku': 'A1' },
+					{ $set: { 'items.$.sku': 'B2' } },
+				).exec();
+			});
+		})
+		.then(function (err) {
+			t.equal(err.errors['items.sku'].value, 'B2', 'positional path');
+
+			return failUpdate(Operators, { email: 1 }, function () {
+				return Operators.updateMany({}, [
+					{ $set: { email: 'pipeline@example.com', other: '$email' } },
+				]).exec();
+			});
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.email.value,
+				'pipeline@example.com',
+				'pipeline update',
+			);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report duplicates from all write operations', function (t) {
+	let Operations = createModel('Operations', {
+		name: String,
+		email: { type: String, unique: true },
+	});
+
+	let id = new mongoose.Types.ObjectId();
+
+	let operations = {
+		'Model.replaceOne()': function () {
+			return Operations.replaceOne(
+				{ _id: id },
+				{ email: 'john@example.com' },
+			).exec();
+		},
+		'Model.findOneAndReplace()': function () {
+			return Operations.findOneAndReplace(
+				{ _id: id },
+				{ email: 'john@example.com' },
+			).exec();
+		},
+		'Model.findByIdAndUpdate() with overwrite': function () {
+			return Operations.findByIdAndUpdate(
+				id,
+				{ email: 'john@example.com' },
+				{ overwrite: true },
+			).exec();
+		},
+		'Model.findByIdAndUpdate() with upsert': function () {
+			return Operations.findByIdAndUpdate(
+				id,
+				{ $setOnInsert: { email: 'john@example.com' } },
+				{ upsert: true },
+			).exec();
+		},
+		'Document#updateOne()': function () {
+			return Operations.hydrate({ _id: id, name: 'John' })
+				.updateOne({ $set: { email: 'john@example.com' } })
+				.exec();
+		},
+	};
+
+	failWith(
+		Operations,
+		['updateOne', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+		}),
+	);
+
+	Object.keys(operations)
+		.reduce(function (previous, name) {
+			return previous.then(function () {
+				return operations[name]().then(
+					function () {
+						t.fail(name + ' should not succeed');
+					},
+					function (err) {
+						t.equal(err.name, 'ValidationError', name);
+						t.equal(err.errors.email.value, 'john@example.com', name);
+					},
+				);
+			});
+		}, global.Promise.resolve())
+		.then(function () {
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should detect queries without relying on class names', function (t) {
+	let Minified = createModel('Minified', {
+		email: { type: String, unique: true },
+	});
+
+	failWith(
+		Minified,
+		['updateOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+		}),
+	);
+
+	let query = Minified.updateOne({}, { $set: { email: 'john@example.com' } });
+
+	// Simulate a minified build renaming the Query class
+	Object.defineProperty(query, 'constructor', {
+		value: function q() {},
+	});
+
+	query.exec().then(
+		function () {
+			t.fail('should not update the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.equal(err.errors.email.value, 'john@example.com');
+			t.end();
+		},
+	);
+});
+
+test('should recognize all shapes of duplicate errors', function (t) {
+	let Shapes = createModel('Shapes', {
+		email: { type: String, unique: true },
+	});
+
+	class CustomServerError extends mongoose.mongo.MongoServerError {
+		get name() {
+			return 'CustomServerError';
+		}
+	}
+
+	let transactionError = duplicateError({
+		message: 'E11000 duplicate key error',
+		keyPattern: { email: 1 },
+	});
+
+	transactionError.addErrorLabel('TransientTransactionError');
+
+	let shapes = {
+		'bulk write error': bulkError([
+			{ index: 0, keyPattern: { email: 1 }, op: {} },
+		]),
+		'bulk write error without top-level code':
+			new mongoose.mongo.MongoBulkWriteError(
+				{
+					message: 'Write failed',
+					writeErrors: [
+						{ index: 0, err: { code: 11000, keyPattern: { email: 1 } } },
+					],
+				},
+				{},
+			),
+		'legacy raw result': Object.assign(
+			new mongoose.mongo.MongoServerError({ message: 'Write failed' }),
+			{
+				result: {
+					result: {
+						writeErrors: [{ index: 0, code: 11001, keyPattern: { email: 1 } }],
+					},
+				},
+			},
+		),
+		'transaction error': transactionError,
+		'driver error subclass': new CustomServerError({
+			message: 'E11000 duplicate key error',
+			code: 11000,
+			keyPattern: { email: 1 },
+		}),
+	};
+
+	Object.keys(shapes)
+		.reduce(function (previous, name) {
+			return previous.then(function () {
+				failWith(Shapes, ['insertOne'], shapes[name]);
+
+				return new Shapes({ email: 'john@example.com' }).save().then(
+					function () {
+						t.fail(name + ' should not succeed');
+					},
+					function (err) {
+						t.equal(err.name, 'ValidationError', name);
+						t.equal(err.errors.email.value, 'john@example.com', name);
+					},
+				);
+			});
+		}, global.Promise.resolve())
+		.then(function () {
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should pass over errors that are not duplicates', function (t) {
+	let NotUnique = createModel('NotUnique', {
+		email: { type: String, unique: true },
+	});
+
+	let original = new mongoose.mongo.MongoServerError({
+		message: 'Document failed validation',
+		code: 121,
+	});
+
+	failWith(NotUnique, ['insertOne'], original);
+
+	new NotUnique({ email: 'john@example.com' }).save().then(
+		function () {
+			t.fail('should not save the document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err, original);
+			t.end();
+		},
+	);
+});
+
+test('should attach the conflicting document', function (t) {
+	let existingId = new mongoose.Types.ObjectId();
+	let lookups = [];
+
+	let Conflict = createModel(
+		'Conflict',
+		{
+			email: { type: String, unique: 'Already used by {CONFLICT_ID}' },
+			tenant: String,
+			slug: String,
+		},
+		{ lookupConflict: { projection: { _id: 1, email: 1 } } },
+		function (schema) {
+			schema.index(
+				{ tenant: 1, slug: 1 },
+				{ unique: true, collation: { locale: 'en', strength: 2 } },
+			);
+		},
+	);
+
+	Conflict.collection.findOne = function (filter, options) {
+		lookups.push([filter, options]);
+		return global.Promise.resolve({
+			_id: existingId,
+			email: 'John@Example.com',
+		});
+	};
+
+	failWith(
+		Conflict,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	new Conflict({ email: 'john@example.com' })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				let props = err.errors.email.properties;
+
+				t.equal(props.conflictId, existingId);
+				t.deepEqual(props.conflict, {
+					_id: existingId,
+					email: 'John@Example.com',
+				});
+				t.equal(
+					err.errors.email.message,
+					'Already used by ' + existingId.toString(),
+				);
+				t.deepEqual(lookups[0][0], { email: 'john@example.com' });
+				t.deepEqual(lookups[0][1].projection, { _id: 1, email: 1 });
+
+				failWith(
+					Conflict,
+					['insertOne'],
+					duplicateError({
+						message: 'E11000 duplicate key error',
+						keyPattern: { tenant: 1, slug: 1 },
+						keyValue: { tenant: 'acme', slug: 'home' },
+					}),
+				);
+
+				return new Conflict({ tenant: 'acme', slug: 'home' }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.errors.slug.properties.conflictId, existingId);
+				t.deepEqual(lookups[1][0], { tenant: 'acme', slug: 'home' });
+				t.deepEqual(
+					lookups[1][1].collation,
+					{ locale: 'en', strength: 2 },
+					'should use the collation of the index',
+				);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report duplicates when the conflict lookup fails', function (t) {
+	let sessions = [];
+	let session = { id: 'session' };
+
+	let LookupFailure = createModel(
+		'LookupFailure',
+		{ email: { type: String, unique: 'Already used by {CONFLICT_ID}' } },
+		{ lookupConflict: true },
+	);
+
+	LookupFailure.collection.findOne = function (filter, options) {
+		sessions.push(options.session);
+		return global.Promise.reject(new Error('Lookup timed out'));
+	};
+
+	failWith(
+		LookupFailure,
+		['insertOne', 'updateOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	let doc = new LookupFailure({ email: 'john@example.com' });
+	doc.$session(session);
+
+	doc
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.name, 'ValidationError');
+				t.equal(err.errors.email.properties.conflict, null);
+				t.equal(err.errors.email.properties.conflictId, null);
+				t.equal(err.errors.email.message, 'Already used by ');
+				t.equal(sessions[0], session, 'should look up in the session');
+
+				return LookupFailure.updateOne(
+					{},
+					{ $set: { email: 'john@example.com' } },
+				)
+					.session(session)
+					.exec();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not update the document successfully');
+			},
+			function (err) {
+				t.equal(err.name, 'ValidationError');
+				t.equal(sessions[1], session, 'should look up in the session');
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should format messages with functions and placeholders', function (t) {
+	let received = [];
+
+	let Messages = createModel(
+		'Messages',
+		{
+			email: {
+				type: String,
+				unique: function (props) {
+					received.push(props);
+					return 'Email ' + props.value + ' is taken in ' + props.model;
+				},
+			},
+			tenant: String,
+			slug: String,
+		},
+		{},
+		function (schema) {
+			schema.index(
+				{ tenant: 1, slug: 1 },
+				{
+					unique:
+						'Combination of {FIELDS} ({VALUES}) already exists ' +
+						'in {COLLECTION} ({MODEL}, {INDEX})',
+				},
+			);
+		},
+	);
+
+	failWith(
+		Messages,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	new Messages({ email: 'john@example.com' })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(
+					err.errors.email.message,
+					'Email john@example.com is taken in Messages',
+				);
+				t.equal(received.length, 1);
+				t.equal(received[0].path, 'email');
+				t.equal(received[0].index, 'email_1');
+				t.equal(received[0].collection, Messages.collection.name);
+				t.deepEqual(received[0].fields, ['email']);
+				t.deepEqual(received[0].values, ['john@example.com']);
+
+				failWith(
+					Messages,
+					['insertOne'],
+					duplicateError({
+						message: 'E11000 duplicate key error',
+						keyPattern: { tenant: 1, slug: 1 },
+						keyValue: { tenant: 'acme', slug: 'home' },
+					}),
+				);
+
+				return new Messages({ tenant: 'acme', slug: 'home' }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				let expected =
+					'Combination of tenant and slug (acme, home) already exists in ' +
+					Messages.collection.name +
+					' (Messages, tenant_1_slug_1)';
+
+				t.equal(err.errors.tenant.message, expected);
+				t.equal(err.errors.slug.message, expected);
+				t.equal(err.errors.slug.properties.index, 'tenant_1_slug_1');
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should translate messages in the requested locale', function (t) {
+	let resolved = [];
+
+	let Localized = createModel(
+		'Localized',
+		{
+			email: { type: String, unique: 'Email {VALUE} is taken' },
+			name: { type: String, unique: true },
+			tenant: String,
+			slug: String,
+		},
+		{
+			defaultMessage: {
+				fr: 'Le champ {PATH} ({VALUE}) doit être unique.',
+			},
+			translations: {
+				fr: {
+					email: "L'adresse {VALUE} est déjà utilisée",
+					tenant_1_slug_1: '{FIELDS} ({VALUES}) existe déjà',
+				},
+				'fr-CA': { email: 'Le courriel {VALUE} est déjà utilisé' },
+			},
+			locale: function (context) {
+				resolved.push(context);
+				return 'de';
+			},
+		},
+		function (schema) {
+			schema.index({ tenant: 1, slug: 1 }, { unique: true });
+		},
+	);
+
+	function failOn(keyValue) {
+		failWith(
+			Localized,
+			['insertOne', 'updateOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: Object.keys(keyValue).reduce(function (pattern, key) {
+					pattern[key] = 1;
+					return pattern;
+				}, {}),
+				keyValue: keyValue,
+			}),
+		);
+	}
+
+	function save(values, locale) {
+		let doc = new Localized(values);
+
+		if (locale) {
+			doc.$locals.locale = locale;
+		}
+
+		return doc.save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	failOn({ email: 'john@example.com' });
+
+	save({ email: 'john@example.com' }, 'fr-CA')
+		.then(function (err) {
+			t.equal(
+				err.errors.email.message,
+				'Le courriel john@example.com est déjà utilisé',
+				'should use the most specific locale',
+			);
+			t.equal(err.errors.email.properties.locale, 'fr-CA');
+			t.equal(resolved.length, 0, 'should prefer the document locale');
+
+			return save({ email: 'john@example.com' }, 'fr-BE');
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.email.message,
+				"L'adresse john@example.com est déjà utilisée",
+				'should fall back to the language',
+			);
+
+			failOn({ name: 'john' });
+			return save({ name: 'john' }, 'fr');
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.name.message,
+				'Le champ name (john) doit être unique.',
+				'should use the translated default message',
+			);
+
+			failOn({ tenant: 'acme', slug: 'home' });
+
+			return Localized.updateOne({}, { tenant: 'acme', slug: 'home' })
+				.setOptions({ locale: 'fr' })
+				.then(
+					function () {
+						throw new Error('should not update to a duplicate');
+					},
+					function (err) {
+						return err;
+					},
+				);
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.slug.message,
+				'tenant and slug (acme, home) existe déjà',
+				'should read the locale from the query options',
+			);
+
+			failOn({ email: 'john@example.com' });
+			return save({ email: 'john@example.com' });
+		})
+		.then(function (err) {
+			t.equal(resolved.length, 1, 'should call the locale resolver');
+			t.ok(resolved[0] instanceof Localized);
+			t.equal(
+				err.errors.email.message,
+				'Email john@example.com is taken',
+				'should fall back to the schema message',
+			);
+
+			failOn({ name: 'john' });
+			return save({ name: 'john' });
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.name.message,
+				'Path `name` (john) is not unique.',
+				'should fall back to the built-in default message',
+			);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should fall back to the fallback locale', function (t) {
+	let Fallback = createModel(
+		'Fallback',
+		{
+			email: { type: String, unique: true },
+			name: { type: String, unique: 'Name {VALUE} is taken' },
+		},
+		{
+			defaultMessage: {
+				en: 'EN {PATH} ({VALUE})',
+				fr: 'FR {PATH} ({VALUE})',
+			},
+			translations: {
+				en: { name: 'Name {VALUE} is already used' },
+			},
+			fallbackLocale: 'en',
+		},
+	);
+
+	function save(values, keyValue, locale) {
+		failWith(
+			Fallback,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: Object.keys(keyValue).reduce(function (pattern, key) {
+					pattern[key] = 1;
+					return pattern;
+				}, {}),
+				keyValue: keyValue,
+			}),
+		);
+
+		let doc = new Fallback(values);
+
+		if (locale) {
+			doc.$locals.locale = locale;
+		}
+
+		return doc.save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	save({ email: 'john@example.com' }, { email: 'john@example.com' })
+		.then(function (err) {
+			t.equal(
+				err.errors.email.message,
+				'EN email (john@example.com)',
+				'should use the fallback when no locale is requested',
+			);
+
+			return save(
+				{ email: 'john@example.com' },
+				{ email: 'john@example.com' },
+				'de',
+			);
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.email.message,
+				'EN email (john@example.com)',
+				'should use the fallback when no locale matches',
+			);
+
+			return save(
+				{ email: 'john@example.com' },
+				{ email: 'john@example.com' },
+				'fr',
+			);
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.email.message,
+				'FR email (john@example.com)',
+				'should prefer the requested locale',
+			);
+
+			return save({ name: 'John' }, { name: 'John' }, 'de');
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.name.message,
+				'Name John is taken',
+				'should prefer the schema message to fallback translations',
+			);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should support the object and array forms of unique', function (t) {
+	let Coded = createModel(
+		'Coded',
+		{
+			username: {
+				type: String,
+				unique: {
+					message: 'Username {VALUE} is taken',
+					code: 'USERNAME_TAKEN',
+					meta: { field: 'username' },
+				},
+			},
+			email: { type: String, unique: [true, 'Email {VALUE} is taken'] },
+			tenant: String,
+			slug: String,
+		},
+		{},
+		function (schema) {
+			schema.index({ tenant: 1, slug: 1 }, { unique: { code: 'SLUG_TAKEN' } });
+		},
+	);
+
+	t.deepEqual(
+		Coded.schema.indexes().map(function (index) {
+			return index[1].unique;
+		}),
+		[true, true, true],
+		'should only send booleans to the server',
+	);
+
+	function failOn(keyValue) {
+		failWith(
+			Coded,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: Object.keys(keyValue).reduce(function (pattern, key) {
+					pattern[key] = 1;
+					return pattern;
+				}, {}),
+				keyValue: keyValue,
+			}),
+		);
+	}
+
+	function save(values) {
+		return new Coded(values).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	failOn({ username: 'john' });
+
+	save({ username: 'john' })
+		.then(function (err) {
+			let suberror = err.errors.username;
+
+			t.equal(suberror.message, 'Username john is taken');
+			t.equal(suberror.code, 'USERNAME_TAKEN');
+			t.deepEqual(suberror.meta, { field: 'username' });
+			t.equal(suberror.properties.code, 'USERNAME_TAKEN');
+
+			failOn({ email: 'john@example.com' });
+			return save({ email: 'john@example.com' });
+		})
+		.then(function (err) {
+			t.equal(err.errors.email.message, 'Email john@example.com is taken');
+			t.equal(err.errors.email.code, undefined);
+
+			failOn({ tenant: 'acme', slug: 'home' });
+			return save({ tenant: 'acme', slug: 'home' });
+		})
+		.then(function (err) {
+			t.equal(err.errors.tenant.code, 'SLUG_TAKEN');
+			t.equal(err.errors.slug.code, 'SLUG_TAKEN');
+			t.equal(err.errors.slug.message, 'Path `slug` (home) is not unique.');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should keep unique options available on the schema', function (t) {
+	let schema = new Schema(
+		{
+			email: { type: String, unique: 'Email {VALUE} is taken' },
+			tenant: String,
+			slug: String,
+		},
+		{ autoCreate: false, autoIndex: false, bufferCommands: false },
+	);
+
+	schema.index({ tenant: 1, slug: 1 }, { unique: { code: 'SLUG_TAKEN' } });
+	schema.plugin(beautifulValidation, { precheck: true });
+	schema.plugin(beautifulValidation, { defaultMessage: 'Ignored' });
+
+	t.equal(schema.tree.email.unique, 'Email {VALUE} is taken');
+	t.equal(schema.path('email').options.unique, 'Email {VALUE} is taken');
+	t.deepEqual(schema.path('email').options.uniqueMessage, {
+		message: 'Email {VALUE} is taken',
+	});
+	t.deepEqual(
+		schema._indexes[0][1].unique,
+		{ code: 'SLUG_TAKEN' },
+		'should leave index declarations untouched',
+	);
+	t.deepEqual(
+		schema.indexes().map(function (index) {
+			return index[1].unique;
+		}),
+		[true, true],
+		'should only send booleans to the server',
+	);
+
+	let Registered = connection.model('Registered', schema);
+	let Cloned = connection.model('Cloned', schema.clone());
+	let lookups = 0;
+
+	Registered.collection.findOne = function () {
+		lookups++;
+		return global.Promise.resolve(null);
+	};
+
+	Cloned.collection.findOne = Registered.collection.findOne;
+
+	failWith(
+		Cloned,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	new Registered({ email: 'john@example.com' })
+		.validate()
+		.then(function () {
+			t.equal(lookups, 1, 'should only register the hooks once');
+			return new Cloned({ email: 'john@example.com' }).save();
+		})
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(
+					err.errors.email.message,
+					'Email john@example.com is taken',
+					'should keep messages in cloned schemas',
+				);
+				t.deepEqual(
+					Cloned.schema.indexes().map(function (index) {
+						return index[1].unique;
+					}),
+					[true, true],
+					'should only send booleans to the server from copies',
+				);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should keep path messages apart from index messages', function (t) {
+	let Separate = createModel(
+		'Separate',
+		{
+			tenant: { type: String, unique: 'Tenant {VALUE} taken' },
+			slug: String,
+		},
+		{},
+		function (schema) {
+			schema.index({ tenant: 1, slug: 1 }, { unique: 'Combination taken' });
+		},
+	);
+
+	t.deepEqual(Separate.schema.path('tenant').options.uniqueMessage, {
+		message: 'Tenant {VALUE} taken',
+	});
+	t.equal(Separate.schema.path('slug').options.uniqueMessage, undefined);
+	t.equal(Separate.schema.path('tenant')._index.unique, 'Tenant {VALUE} taken');
+
+	failWith(
+		Separate,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { tenant: 1 },
+			keyValue: { tenant: 'acme' },
+		}),
+	);
+
+	new Separate({ tenant: 'acme', slug: 'home' }).save().then(
+		function () {
+			t.fail('should not save the duplicate document');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.errors.tenant.message, 'Tenant acme taken');
+			t.end();
+		},
+	);
+});
+
+test('should keep path options in schemas derived from them', function (t) {
+	let schema = new Schema({
+		tenant: String,
+		slug: { type: String, unique: 'Slug {VALUE} is taken' },
+	});
+
+	schema.plugin(beautifulValidation);
+
+	// Derive a schema from the paths only, which keeps the options
+	// of each path
+	let derived = new Schema(
+		{
+			tenant: schema.path('tenant').options,
+			slug: schema.path('slug').options,
+		},
+		{ autoCreate: false, autoIndex: false, bufferCommands: false },
+	);
+
+	derived.index({ tenant: 1, slug: 1 }, { unique: true });
+	derived.plugin(beautifulValidation);
+
+	let Derived = connection.model('Derived', derived);
+
+	failWith(
+		Derived,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { tenant: 1, slug: 1 },
+			keyValue: { tenant: 'acme', slug: 'home' },
+		}),
+	);
+
+	new Derived({ tenant: 'acme', slug: 'home' }).save().then(
+		function () {
+			t.fail('should not save the duplicate document');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.errors.slug.message, 'Slug home is taken');
+			t.end();
+		},
+	);
+});
+
+test('should collect indexes declared after the plugin', function (t) {
+	let schema = new Schema(
+		{ name: String },
+		{ autoCreate: false, autoIndex: false, bufferCommands: false },
+	);
+
+	schema.plugin(beautifulValidation);
+	schema.add({ email: { type: String, unique: 'Email {VALUE} is taken' } });
+	schema.index({ name: 1 }, { unique: { message: 'Name {VALUE} is taken' } });
+
+	let Late = connection.model('Late', schema);
+
+	t.deepEqual(
+		Late.schema.indexes().map(function (index) {
+			return index[1].unique;
+		}),
+		[true, true],
+		'should normalize indexes when the model is compiled',
+	);
+
+	failWith(
+		Late,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	new Late({ email: 'john@example.com' })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.errors.email.message, 'Email john@example.com is taken');
+
+				failWith(
+					Late,
+					['insertOne'],
+					duplicateError({
+						message: 'E11000 duplicate key error',
+						keyPattern: { name: 1 },
+						keyValue: { name: 'john' },
+					}),
+				);
+
+				return new Late({ name: 'john' }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.errors.name.message, 'Name john is taken');
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report duplicates inside subdocuments', function (t) {
+	let Item = new Schema({
+		sku: { type: String, unique: 'SKU {VALUE} is taken' },
+	});
+
+	let Profile = new Schema({ handle: String });
+	Profile.index({ handle: 1 }, { unique: 'Handle {VALUE} is taken' });
+
+	let Order = createModel('Order', {
+		items: [Item],
+		gifts: { type: [Item] },
+		profile: Profile,
+	});
+
+	t.deepEqual(
+		Order.schema.indexes().map(function (index) {
+			return [Object.keys(index[0])[0], index[1].unique];
+		}),
+		[
+			['items.sku', true],
+			['gifts.sku', true],
+			['profile.handle', true],
+		],
+	);
+
+	function failOn(keyValue) {
+		failWith(
+			Order,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: { [Object.keys(keyValue)[0]]: 1 },
+				keyValue: keyValue,
+			}),
+		);
+	}
+
+	function save(values) {
+		return new Order(values).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	failOn({ 'items.sku': 'B2' });
+
+	save({ items: [{ sku: 'A1' }, { sku: 'A2' }, { sku: 'B2' }] })
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['items.2.sku']);
+			t.equal(err.errors['items.2.sku'].value, 'B2');
+			t.equal(err.errors['items.2.sku'].message, 'SKU B2 is taken');
+
+			failOn({ 'gifts.sku': 'G1' });
+			return save({ gifts: [{ sku: 'G1' }] });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['gifts.0.sku']);
+			t.equal(err.errors['gifts.0.sku'].message, 'SKU G1 is taken');
+
+			failOn({ 'profile.handle': 'john' });
+			return save({ profile: { handle: 'john' } });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['profile.handle']);
+			t.equal(err.errors['profile.handle'].message, 'Handle john is taken');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report the colliding element of arrays of values', function (t) {
+	let Tagged = createModel('Tagged', {
+		tags: { type: [String], unique: 'Tag {VALUE} is taken' },
+	});
+
+	failWith(
+		Tagged,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { tags: 1 },
+			keyValue: { tags: 'b' },
+		}),
+	);
+
+	new Tagged({ tags: ['a', 'b'] }).save().then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.deepEqual(Object.keys(err.errors), ['tags']);
+			t.equal(err.errors.tags.value, 'b');
+			t.equal(err.errors.tags.message, 'Tag b is taken');
+			t.end();
+		},
+	);
+});
+
+test('should resolve messages through discriminators', function (t) {
+	let Person = createModel('Person', {
+		email: { type: String, unique: 'Email {VALUE} is taken' },
+	});
+
+	let Vendor = Person.discriminator(
+		'Vendor',
+		new Schema({
+			taxId: { type: String, unique: 'Tax ID {VALUE} is taken ({MODEL})' },
+		}),
+	);
+
+	t.deepEqual(
+		Vendor.schema.indexes().map(function (index) {
+			return index[1].unique;
+		}),
+		[true, true],
+		'should only send booleans to the server',
+	);
+
+	let taxIdError = duplicateError({
+		message: 'E11000 duplicate key error',
+		keyPattern: { taxId: 1 },
+		keyValue: { taxId: 'FR123' },
+	});
+
+	failWith(Vendor, ['insertOne'], taxIdError);
+	failWith(Person, ['updateOne'], taxIdError);
+
+	new Vendor({ taxId: 'FR123' })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(
+					err.message,
+					'Vendor validation failed: taxId: Tax ID FR123 is taken (Vendor)',
+				);
+				t.equal(err.errors.taxId.message, 'Tax ID FR123 is taken (Vendor)');
+				t.equal(err.errors.taxId.properties.model, 'Vendor');
+
+				return Person.updateOne(
+					{ __t: 'Vendor' },
+					{ taxId: 'FR123' },
+					{ strict: false },
+				);
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not update to a duplicate');
+			},
+			function (err) {
+				t.equal(
+					err.errors.taxId.properties.model,
+					'Vendor',
+					'should find the discriminator from the filter',
+				);
+				t.equal(err.errors.taxId.message, 'Tax ID FR123 is taken (Vendor)');
+
+				return Person.updateOne({}, { taxId: 'FR123' }, { strict: false });
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not update to a duplicate');
+			},
+			function (err) {
+				t.equal(err._message, 'Person validation failed');
+				t.equal(
+					err.errors.taxId.message,
+					'Tax ID FR123 is taken (Person)',
+					'should use the messages of discriminators',
+				);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should handle duplicates on unknown indexes', function (t) {
+	let lookups = 0;
+
+	function createUnknown(name, options) {
+		let Model = createModel(name, { name: String }, options);
+
+		Model.collection.indexInformation = function () {
+			lookups++;
+			return global.Promise.resolve([]);
+		};
+
+		return Model;
+	}
+
+	function saveUnknown(Model, indexName, keyValue) {
+		failWith(
+			Model,
+			['insertOne'],
+			duplicateError({
+				message:
+					'E11000 duplicate key error collection: test.' +
+					Model.collection.name +
+					' index: ' +
+					indexName +
+					' dup key: { }',
+				keyValue: keyValue,
+			}),
+		);
+
+		return new Model({ name: 'john' }).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	let Unknown = createUnknown('Unknown');
+	let Generic = createUnknown('Generic', { unknownIndex: 'generic' });
+	let Passthrough = createUnknown('Passthrough', {
+		unknownIndex: 'passthrough',
+	});
+
+	saveUnknown(Unknown, 'migration_idx', { name: 'john' })
+		.then(function (err) {
+			t.equal(err.name, 'ValidationError');
+			t.deepEqual(Object.keys(err.errors), ['name']);
+			t.equal(err.errors.name.message, 'Path `name` (john) is not unique.');
+			t.equal(err.errors.name.properties.index, 'migration_idx');
+
+			return saveUnknown(Unknown, 'migration_idx');
+		})
+		.then(function (err) {
+			t.deepEqual(
+				Object.keys(err.errors),
+				['migration_idx'],
+				'should report a generic error without duplicated values',
+			);
+			t.equal(
+				err.errors.migration_idx.message,
+				'A document with the same unique values already exists.',
+			);
+
+			return saveUnknown(Generic, 'migration_idx', { name: 'john' });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['migration_idx']);
+
+			return saveUnknown(Passthrough, 'migration_idx', { name: 'john' });
+		})
+		.then(function (err) {
+			t.equal(err.name, 'MongoServerError', 'should report the original error');
+			t.equal(err.code, 11000);
+
+			lookups = 0;
+			return saveUnknown(Passthrough, '_id_');
+		})
+		.then(function (err) {
+			t.equal(lookups, 0, 'should not look up the primary key index');
+			t.deepEqual(Object.keys(err.errors), ['_id']);
+			t.equal(err.errors._id.properties.index, '_id_');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report unique violations with index metadata', function (t) {
+	let driverError = duplicateError({
+		message: 'E11000 duplicate key error',
+		keyPattern: { email: 1 },
+		keyValue: { email: 'john@example.com' },
+	});
+
+	let Violation = createModel('Violation', {
+		email: { type: String, unique: 'Email {VALUE} is taken' },
+	});
+
+	let factoryCalls = [];
+	let Factory = createModel(
+		'Factory',
+		{ email: { type: String, unique: true } },
+		{
+			errorFactory: function (suberrors, details) {
+				factoryCalls.push([suberrors, details]);
+				return new Error('Custom ' + details.indexName);
+			},
+		},
+	);
+
+	failWith(Violation, ['insertOne'], driverError);
+	failWith(Factory, ['insertOne'], driverError);
+
+	new Violation({ email: 'john@example.com' })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.ok(err instanceof beautifulValidation.UniqueValidationError);
+				t.ok(err instanceof mongoose.Error.ValidationError);
+				t.equal(err.name, 'ValidationError');
+				t.equal(
+					err.message,
+					'Violation validation failed: email: ' +
+						'Email john@example.com is taken',
+				);
+				t.equal(err.isUniqueViolation, true);
+				t.equal(err.indexName, 'email_1');
+				t.deepEqual(err.keyPattern, { email: 1 });
+				t.deepEqual(err.keyValue, { email: 'john@example.com' });
+				t.equal(err.collection, Violation.collection.name);
+				t.equal(err.cause, driverError);
+
+				let json = JSON.parse(JSON.stringify(err));
+
+				t.equal(json.message, err.message);
+				t.equal(json.indexName, 'email_1');
+				t.equal(json.errors.email.message, 'Email john@example.com is taken');
+				t.notOk('cause' in json, 'should not serialize the driver error');
+
+				return new Factory({ email: 'john@example.com' }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.message, 'Custom email_1');
+				t.deepEqual(Object.keys(factoryCalls[0][0]), ['email']);
+				t.equal(factoryCalls[0][1].model, 'Factory');
+				t.equal(factoryCalls[0][1].cause, driverError);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report compound indexes according to compoundMode', function (t) {
+	function createCompound(name, compoundMode, unique) {
+		let Model = createModel(
+			name,
+			{
+				tenant: { type: String, unique: 'Tenant {VALUE} is taken' },
+				slug: String,
+			},
+			{ compoundMode: compoundMode },
+			function (schema) {
+				schema.index({ tenant: 1, slug: 1 }, { unique: unique });
+			},
+		);
+
+		failWith(
+			Model,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: { tenant: 1, slug: 1 },
+				keyValue: { tenant: 'acme', slug: 'home' },
+			}),
+		);
+
+		return new Model({ tenant: 'acme', slug: 'home' }).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	createCompound('PerField', undefined, true)
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['tenant', 'slug']);
+
+			return createCompound('PerIndex', 'perIndex', true);
+		})
+		.then(function (err) {
+			let suberror = err.errors.tenant_1_slug_1;
+
+			t.deepEqual(Object.keys(err.errors), ['tenant_1_slug_1']);
+			t.equal(
+				suberror.message,
+				'Combination of tenant and slug (acme, home) is not unique.',
+				'should not use the message of a single field',
+			);
+			t.deepEqual(suberror.properties.fields, ['tenant', 'slug']);
+			t.deepEqual(suberror.properties.values, ['acme', 'home']);
+
+			return createCompound('PerIndexMessage', 'perIndex', {
+				message: 'Page {VALUES} already exists',
+				code: 'PAGE_EXISTS',
+			});
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.tenant_1_slug_1.message,
+				'Page acme, home already exists',
+			);
+			t.equal(err.errors.tenant_1_slug_1.code, 'PAGE_EXISTS');
+
+			return createCompound('LastField', 'lastField', 'Slug {VALUE} is taken');
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['slug']);
+			t.equal(err.errors.slug.message, 'Slug home is taken');
+			t.deepEqual(err.errors.slug.properties.values, ['acme', 'home']);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report compound indexes on their primary field', function (t) {
+	let Primary = createModel(
+		'Primary',
+		{
+			tenant: String,
+			slug: String,
+			locale: String,
+		},
+		{
+			compoundMode: 'lastField',
+			compoundPrimary: { tenant_1_slug_1_locale_1: 'slug' },
+		},
+		function (schema) {
+			schema.index(
+				{ tenant: 1, slug: 1, locale: 1 },
+				{ unique: 'Page {VALUE} already exists' },
+			);
+			schema.index({ tenant: 1, locale: 1 }, { unique: true });
+		},
+	);
+
+	function save(keyValue) {
+		failWith(
+			Primary,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: Object.keys(keyValue).reduce(function (pattern, key) {
+					pattern[key] = 1;
+					return pattern;
+				}, {}),
+				keyValue: keyValue,
+			}),
+		);
+
+		return new Primary({ tenant: 'acme', slug: 'home', locale: 'en' })
+			.save()
+			.then(
+				function () {
+					throw new Error('should not save the duplicate document');
+				},
+				function (err) {
+					return err;
+				},
+			);
+	}
+
+	save({ tenant: 'acme', slug: 'home', locale: 'en' })
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['slug']);
+			t.equal(err.errors.slug.message, 'Page home already exists');
+			t.deepEqual(err.errors.slug.properties.values, ['acme', 'home', 'en']);
+
+			return save({ tenant: 'acme', locale: 'en' });
+		})
+		.then(function (err) {
+			t.deepEqual(
+				Object.keys(err.errors),
+				['locale'],
+				'should default to the last field of other indexes',
+			);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should tell apart compound indexes sharing a field', function (t) {
+	function save(name, compoundMode) {
+		let Model = createModel(
+			name,
+			{ tenant: String, slug: String, code: String },
+			{ compoundMode: compoundMode },
+			function (schema) {
+				schema.index(
+					{ tenant: 1, slug: 1 },
+					{ unique: { message: 'Slug {VALUES} already used', code: 'SLUG' } },
+				);
+				schema.index(
+					{ tenant: 1, code: 1 },
+					{ unique: { message: 'Code {VALUES} already used', code: 'CODE' } },
+				);
+			},
+		);
+
+		failWith(
+			Model,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: { tenant: 1, slug: 1 },
+				keyValue: { tenant: 'acme', slug: 'home' },
+			}),
+		);
+
+		return new Model({ tenant: 'acme', slug: 'home', code: 'x' }).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	save('SharedPerIndex', 'perIndex')
+		.then(function (err) {
+			t.equal(
+				err.errors.tenant_1_slug_1.message,
+				'Slug acme, home already used',
+			);
+			t.equal(err.errors.tenant_1_slug_1.code, 'SLUG');
+
+			return save('SharedPerField', 'perField');
+		})
+		.then(function (err) {
+			t.equal(err.errors.tenant.message, 'Slug acme, home already used');
+			t.equal(err.errors.tenant.code, 'SLUG');
+			t.equal(err.errors.slug.message, 'Slug acme, home already used');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report the collation and the existing value', function (t) {
+	let lookups = [];
+
+	let Collated = createModel(
+		'Collated',
+		{
+			email: {
+				type: String,
+				unique: 'Email is already registered as {EXISTING_VALUE}',
+			},
+			tags: [String],
+		},
+		{ lookupConflict: true },
+		function (schema) {
+			schema.index(
+				{ tags: 1 },
+				{
+					name: 'tags_ci',
+					unique: true,
+					collation: { locale: 'en', strength: 2 },
+				},
+			);
+		},
+	);
+
+	Collated.collection.indexInformation = function () {
+		return global.Promise.resolve([
+			{ name: '_id_', key: { _id: 1 } },
+			{
+				name: 'email_ci',
+				key: { email: 1 },
+				unique: true,
+				collation: { locale: 'en', strength: 2 },
+			},
+		]);
+	};
+
+	Collated.collection.findOne = function (filter, options) {
+		lookups.push([filter, options]);
+		return global.Promise.resolve({
+			_id: 'existing',
+			email: 'John@Example.com',
+			tags: ['News', 'Sports'],
+		});
+	};
+
+	saveLegacyDuplicate(Collated, 'email_ci', { email: 'john@example.com' })
+		.then(function (err) {
+			t.equal(
+				err.errors.email.message,
+				'Email is already registered as John@Example.com',
+			);
+			t.equal(err.errors.email.properties.existingValue, 'John@Example.com');
+			t.deepEqual(err.collation, { locale: 'en', strength: 2 });
+			t.deepEqual(err.errors.email.properties.collation, {
+				locale: 'en',
+				strength: 2,
+			});
+			t.deepEqual(err.toJSON().collation, { locale: 'en', strength: 2 });
+			t.deepEqual(lookups[0][1], {
+				projection: { _id: 1, email: 1 },
+				collation: { locale: 'en', strength: 2 },
+			});
+
+			failWith(
+				Collated,
+				['insertOne'],
+				duplicateError({
+					message: 'E11000 duplicate key error',
+					keyPattern: { tags: 1 },
+					keyValue: { tags: 'sports' },
+				}),
+			);
+
+			return new Collated({ tags: ['weather', 'sports'] }).save();
+		})
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.errors.tags.properties.existingValue, 'Sports');
+				t.deepEqual(
+					err.collation,
+					{ locale: 'en', strength: 2 },
+					'should read the collation from the schema',
+				);
+				t.deepEqual(lookups[1][1].collation, { locale: 'en', strength: 2 });
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should use the collation of indexes before saving', function (t) {
+	let options = [];
+
+	let PrecheckCollated = createModel(
+		'PrecheckCollated',
+		{
+			email: {
+				type: String,
+				unique: 'Email is already registered as {EXISTING_VALUE}',
+			},
+		},
+		{ precheck: true },
+		function (schema) {
+			schema.set('collation', { locale: 'en', strength: 2 });
+		},
+	);
+
+	PrecheckCollated.collection.findOne = function (filter, queryOptions) {
+		options.push(queryOptions);
+		return global.Promise.resolve({
+			_id: 'existing',
+			email: 'John@Example.com',
+		});
+	};
+
+	PrecheckCollated.checkUnique({ email: 'john@example.com' }).then(
+		function (err) {
+			t.equal(
+				err.errors.email.message,
+				'Email is already registered as John@Example.com',
+			);
+			t.deepEqual(options[0].projection, { _id: 1, email: 1 });
+			t.deepEqual(options[0].collation, { locale: 'en', strength: 2 });
+			t.end();
+		},
+		function (err) {
+			t.error(err);
+			t.end();
+		},
+	);
+});
+
+test('should read index options from the server with keyPattern', function (t) {
+	let calls = 0;
+
+	let ServerOptions = createModel('ServerOptions', {
+		email: { type: String, unique: true },
+		handle: String,
+	});
+
+	ServerOptions.collection.indexInformation = function () {
+		++calls;
+		return global.Promise.resolve([
+			{
+				name: 'email_1',
+				key: { email: 1 },
+				unique: true,
+				collation: { locale: 'en', strength: 2 },
+			},
+			{
+				name: 'handle_1',
+				key: { handle: 1 },
+				unique: true,
+				sparse: true,
+			},
+		]);
+	};
+
+	function saveDuplicate(field, value) {
+		failWith(
+			ServerOptions,
+			['insertOne'],
+			duplicateError({
+				message:
+					'E11000 duplicate key error collection: test.serveroptions ' +
+					'index: ' +
+					field +
+					'_1 dup key: { }',
+				keyPattern: { [field]: 1 },
+				keyValue: { [field]: value },
+			}),
+		);
+
+		return new ServerOptions({ [field]: value }).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	saveDuplicate('email', 'john@example.com')
+		.then(function (err) {
+			t.equal(err.collation, null, 'should not query for declared indexes');
+			t.equal(calls, 0);
+
+			return saveDuplicate('handle', 'john');
+		})
+		.then(function (err) {
+			t.equal(
+				err.errors.handle.properties.sparse,
+				true,
+				'should query for undeclared indexes',
+			);
+			t.equal(calls, 1);
+
+			return saveDuplicate('email', 'john@example.com');
+		})
+		.then(function (err) {
+			t.deepEqual(
+				err.collation,
+				{ locale: 'en', strength: 2 },
+				'should prefer the cached specification',
+			);
+			t.equal(calls, 1);
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should tell apart indexes on the same fields by name', function (t) {
+	let SameKey = createModel(
+		'SameKey',
+		{ email: String, deletedAt: Date },
+		{ indexSource: 'schema' },
+		function (schema) {
+			schema.index(
+				{ email: 1 },
+				{
+					name: 'email_active',
+					unique: true,
+					partialFilterExpression: { deletedAt: null },
+				},
+			);
+			schema.index(
+				{ email: 1 },
+				{
+					name: 'email_ci',
+					unique: true,
+					collation: { locale: 'en', strength: 2 },
+				},
+			);
+		},
+	);
+
+	function saveDuplicate(indexName) {
+		failWith(
+			SameKey,
+			['insertOne'],
+			duplicateError({
+				message:
+					'E11000 duplicate key error collection: test.samekeys ' +
+					'index: ' +
+					indexName +
+					' dup key: { }',
+				keyPattern: { email: 1 },
+				keyValue: { email: 'john@example.com' },
+			}),
+		);
+
+		return new SameKey({ email: 'john@example.com' }).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	saveDuplicate('email_ci')
+		.then(function (err) {
+			t.equal(err.indexName, 'email_ci');
+			t.deepEqual(err.collation, { locale: 'en', strength: 2 });
+			t.equal(err.errors.email.properties.partialFilterExpression, null);
+
+			return saveDuplicate('email_active');
+		})
+		.then(function (err) {
+			t.equal(err.collation, null);
+			t.deepEqual(err.errors.email.properties.partialFilterExpression, {
+				deletedAt: null,
+			});
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should report the filter of partial and sparse indexes', function (t) {
+	let filters = [];
+
+	let Partial = createModel(
+		'Partial',
+		{
+			email: String,
+			phone: { type: String, unique: true, sparse: true },
+			deletedAt: Date,
+		},
+		{ lookupConflict: true },
+		function (schema) {
+			schema.index(
+				{ email: 1 },
+				{
+					unique: function (props) {
+						return props.partialFilterExpression
+							? 'Email ' + props.value + ' is used by an active account'
+							: 'Email ' + props.value + ' is used';
+					},
+					partialFilterExpression: { deletedAt: null },
+				},
+			);
+		},
+	);
+
+	Partial.collection.indexInformation = function () {
+		return global.Promise.resolve([
+			{ name: '_id_', key: { _id: 1 } },
+			{
+				name: 'email_active',
+				key: { email: 1 },
+				unique: true,
+				partialFilterExpression: { deletedAt: null },
+			},
+		]);
+	};
+
+	Partial.collection.findOne = function (filter) {
+		filters.push(filter);
+		return global.Promise.resolve({ _id: 'existing' });
+	};
+
+	saveLegacyDuplicate(Partial, 'email_active', { email: 'john@example.com' })
+		.then(function (err) {
+			let props = err.errors.email.properties;
+
+			t.deepEqual(props.partialFilterExpression, { deletedAt: null });
+			t.equal(props.sparse, false);
+			t.equal(
+				err.errors.email.message,
+				'Email john@example.com is used by an active account',
+			);
+			t.deepEqual(
+				filters[0],
+				{ email: 'john@example.com', $and: [{ deletedAt: null }] },
+				'should only look for documents held by the index',
+			);
+
+			failWith(
+				Partial,
+				['insertOne'],
+				duplicateError({
+					message: 'E11000 duplicate key error',
+					keyPattern: { phone: 1 },
+					keyValue: { phone: null },
+				}),
+			);
+
+			return new Partial({ phone: null }).save();
+		})
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				let props = err.errors.phone.properties;
+
+				t.equal(props.sparse, true);
+				t.equal(props.partialFilterExpression, null);
+				t.deepEqual(
+					filters[1],
+					{ phone: { $type: 'null' } },
+					'should not look for documents missing from the index',
+				);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should apply the filter of partial indexes before saving', function (t) {
+	let filters = [];
+
+	let PrecheckPartial = createModel(
+		'PrecheckPartial',
+		{ email: String, deletedAt: Date },
+		{ precheck: true },
+		function (schema) {
+			schema.index(
+				{ email: 1 },
+				{ unique: true, partialFilterExpression: { deletedAt: null } },
+			);
+		},
+	);
+
+	PrecheckPartial.collection.findOne = function (filter) {
+		filters.push(filter);
+		return global.Promise.resolve(null);
+	};
+
+	let id = new mongoose.Types.ObjectId();
+
+	PrecheckPartial.checkUnique({ email: 'john@example.com' }, { excludeId: id })
+		.then(function (err) {
+			t.equal(err, null);
+			t.deepEqual(filters[0], {
+				email: 'john@example.com',
+				$and: [{ deletedAt: null }],
+				_id: { $ne: id },
+			});
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should not check partial indexes that leave values out', function (t) {
+	let filters = [];
+
+	let SoftDeleted = createModel(
+		'SoftDeleted',
+		{ email: String, deletedAt: Date },
+		{ precheck: true },
+		function (schema) {
+			schema.index(
+				{ email: 1 },
+				{ unique: true, partialFilterExpression: { deletedAt: null } },
+			);
+		},
+	);
+
+	SoftDeleted.collection.findOne = function (filter) {
+		filters.push(filter);
+		return global.Promise.resolve({ _id: 'existing' });
+	};
+
+	let deleted = new SoftDeleted({ email: 'a', deletedAt: new Date() });
+
+	deleted
+		.validate()
+		.then(function () {
+			t.equal(filters.length, 0, 'should not query with precheck');
+
+			return SoftDeleted.checkUnique({ email: 'a', deletedAt: new Date() });
+		})
+		.then(function (err) {
+			t.equal(err, null);
+			t.equal(filters.length, 0, 'should not query with checkUnique()');
+
+			return SoftDeleted.checkUnique({ email: 'a' });
+		})
+		.then(function (err) {
+			t.deepEqual(Object.keys(err.errors), ['email']);
+			t.equal(filters.length, 1, 'should check values inside the index');
+
+			// Restoring a document puts it back into the index
+			let restored = SoftDeleted.hydrate({
+				_id: new mongoose.Types.ObjectId(),
+				email: 'a',
+				deletedAt: new Date(),
+			});
+
+			restored.deletedAt = null;
+			return restored.validate();
+		})
+		.then(
+			function () {
+				t.fail('should report the conflict of the restored document');
+				t.end();
+			},
+			function (err) {
+				t.deepEqual(Object.keys(err.errors), ['email']);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should use labels in messages', function (t) {
+	let Labels = createModel(
+		'Labels',
+		{
+			profile: {
+				contact: {
+					email: { type: String, unique: true, label: 'Email address' },
+				},
+			},
+			username: { type: String, unique: '{LABEL} {VALUE} is taken' },
+			nickname: { type: String, unique: '{LABEL} {VALUE} is taken' },
+		},
+		{ labels: { username: 'User name' } },
+	);
+
+	failWith(
+		Labels,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { 'profile.contact.email': 1 },
+			keyValue: { 'profile.contact.email': 'john@example.com' },
+		}),
+	);
+
+	new Labels({ profile: { contact: { email: 'john@example.com' } } })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				let error = err.errors['profile.contact.email'];
+
+				t.equal(
+					error.message,
+					'Path `Email address` (john@example.com) is not unique.',
+				);
+				t.equal(error.path, 'profile.contact.email');
+				t.equal(error.properties.label, 'Email address');
+
+				failWith(
+					Labels,
+					['insertOne'],
+					duplicateError({
+						message: 'E11000 duplicate key error',
+						keyPattern: { username: 1 },
+						keyValue: { username: 'john' },
+					}),
+				);
+
+				return new Labels({ username: 'john' }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(err.errors.username.message, 'User name john is taken');
+
+				failWith(
+					Labels,
+					['insertOne'],
+					duplicateError({
+						message: 'E11000 duplicate key error',
+						keyPattern: { nickname: 1 },
+						keyValue: { nickname: 'johnny' },
+					}),
+				);
+
+				return new Labels({ nickname: 'johnny' }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.equal(
+					err.errors.nickname.message,
+					'nickname johnny is taken',
+					'should fall back to the path',
+				);
+				t.equal(err.errors.nickname.properties.label, null);
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should key errors by aliases', function (t) {
+	let Aliases = createModel(
+		'Aliases',
+		{
+			e: { type: String, unique: true, alias: 'email' },
+			items: [
+				new Schema({
+					s: { type: String, unique: true, alias: 'sku' },
+				}),
+			],
+		},
+		{ useAliases: true },
+	);
+
+	failWith(
+		Aliases,
+		['insertOne'],
+		duplicateError({
+			message: 'E11000 duplicate key error',
+			keyPattern: { e: 1 },
+			keyValue: { e: 'john@example.com' },
+		}),
+	);
+
+	new Aliases({ email: 'john@example.com' })
+		.save()
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.deepEqual(Object.keys(err.errors), ['email']);
+				t.equal(err.errors.email.path, 'email');
+				t.equal(
+					err.errors.email.message,
+					'Path `email` (john@example.com) is not unique.',
+				);
+				t.deepEqual(err.keyPattern, { e: 1 }, 'should keep database names');
+
+				failWith(
+					Aliases,
+					['insertOne'],
+					duplicateError({
+						message: 'E11000 duplicate key error',
+						keyPattern: { 'items.s': 1 },
+						keyValue: { 'items.s': 'b' },
+					}),
+				);
+
+				return new Aliases({ items: [{ sku: 'a' }, { sku: 'b' }] }).save();
+			},
+		)
+		.then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				t.deepEqual(Object.keys(err.errors), ['items.1.sku']);
+				t.equal(err.errors['items.1.sku'].path, 'items.1.sku');
+				t.end();
+			},
+		)
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should redact sensitive values', function (t) {
+	let Redacted = createModel(
+		'Redacted',
+		{
+			email: { type: String, unique: true, uniqueRedact: 'partial' },
+			phone: { type: String, unique: 'Phone {VALUE} is taken' },
+			username: { type: String, unique: true, uniqueRedact: false },
+			taxId: {
+				type: String,
+				unique: true,
+				uniqueRedact: function (value) {
+					return value.slice(-2).padStart(value.length, '#');
+				},
+			},
+		},
+		{ redact: true },
+	);
+
+	function saveDuplicate(field, value) {
+		failWith(
+			Redacted,
+			['insertOne'],
+			duplicateError({
+				message: 'E11000 duplicate key error',
+				keyPattern: { [field]: 1 },
+				keyValue: { [field]: value },
+			}),
+		);
+
+		return new Redacted({ [field]: value }).save().then(
+			function () {
+				throw new Error('should not save the duplicate document');
+			},
+			function (err) {
+				return err;
+			},
+		);
+	}
+
+	saveDuplicate('email', 'john@example.com')
+		.then(function (err) {
+			let error = err.errors.email;
+
+			t.equal(error.message, 'Path `email` (j***@example.com) is not unique.');
+			t.equal(error.value, 'j***@example.com');
+			t.deepEqual(error.properties.values, ['j***@example.com']);
+			t.deepEqual(err.keyValue, { email: 'j***@example.com' });
+			t.equal(error.originalValue, 'john@example.com');
+			t.notOk(
+				JSON.stringify(err).includes('john@example.com'),
+				'should not serialize the original value',
+			);
+
+			return saveDuplicate('phone', '0612345678');
+		})
+		.then(function (err) {
+			t.equal(err.errors.phone.message, 'Phone *** is taken');
+			t.equal(err.errors.phone.value, '***');
+			t.equal(err.errors.phone.originalValue, '0612345678');
+
+			return saveDuplicate('username', 'john');
+		})
+		.then(function (err) {
+			t.equal(err.errors.username.value, 'john', 'should keep opted-out paths');
+
+			return saveDuplicate('taxId', '12345678');
+		})
+		.then(function (err) {
+			t.equal(err.errors.taxId.value, '######78');
+			t.end();
+		})
+		.catch(function (err) {
+			t.error(err);
+			t.end();
+		});
+});
+
+test('should redact the conflicting document and the cause', function (t) {
+	let RedactedConflict = createModel(
+		'RedactedConflict',
+		{
+			email: { type: String, unique: true },
+			name: String,
+		},
+		{ redact: true, lookupConflict: true },
+	);
+
+	RedactedConflict.collection.findOne = function () {
+		return global.Promise.resolve({
+			_id: 1,
+			email: 'John@Example.com',
+			name: 'John',
+		});
+	};
+
+	failWith(
+		RedactedConflict,
+		['insertOne'],
+		duplicateError({
+			message:
+				'E11000 duplicate key error collection: test.redactedconflicts ' +
+				'index: email_1 dup key: { email: "john@example.com" }',
+			keyPattern: { email: 1 },
+			keyValue: { email: 'john@example.com' },
+		}),
+	);
+
+	new RedactedConflict({ email: 'john@example.com' }).save().then(
+		function () {
+			t.fail('should not save the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			let serialized = JSON.stringify(err);
+
+			t.notOk(/john@example\.com/i.test(serialized), 'should hide values');
+			t.deepEqual(err.errors.email.properties.conflict, {
+				_id: 1,
+				email: '***',
+				name: 'John',
+			});
+			t.equal(err.errors.email.properties.conflictId, 1);
+			t.notOk(
+				Object.keys(err).includes('cause'),
+				'should not enumerate the cause',
+			);
+			t.equal(err.cause.keyValue.email, 'john@example.com');
+			t.end();
+		},
+	);
+});
+
+test('should redact the raw data of bulk write errors', function (t) {
+	let RedactedBulk = createModel(
+		'RedactedBulk',
+		{ email: { type: String, unique: true } },
+		{ redact: true },
+	);
+
+	failWith(
+		RedactedBulk,
+		['insertMany'],
+		bulkError([
+			{
+				index: 0,
+				errmsg:
+					'E11000 duplicate key error collection: test.redactedbulks ' +
+					'index: email_1 dup key: { email: "secret@example.com" }',
+				op: { email: 'secret@example.com' },
+				keyPattern: { email: 1 },
+				keyValue: { email: 'secret@example.com' },
+			},
+		]),
+	);
+
+	RedactedBulk.insertMany([{ email: 'secret@example.com' }], {
+		ordered: false,
+	}).then(
+		function () {
+			t.fail('should not insert the duplicate document successfully');
+			t.end();
+		},
+		function (err) {
+			t.equal(err.name, 'UniqueBulkWriteError');
+			t.notOk(
+				/secret@example\.com/.test(JSON.stringify(err)),
+				'should hide values',
+			);
+			t.equal(err.writeErrors.length, 1, 'should keep the write errors');
+			t.notOk(Object.keys(err).includes('writeErrors'));
+			t.notOk(Object.keys(err).includes('result'));
+			t.end();
+		},
+	);
+});